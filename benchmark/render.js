@@ -0,0 +1,120 @@
+// hair.js benchmark - MIT license, copyright 2024 Samuel Baird
+// ====================================================================================
+// Render and re-render long compose lists, where each re-render has to find and
+// reuse the prior attachment of every item before updating it
+// compared against the previous linear search of prior attachments
+//
+// Requires a DOM, run in a browser via benchmark/index.html
+// ====================================================================================
+
+import * as h from '../hair.js';
+
+const COUNTS = [1000, 10000];
+
+function createItems (count, from = 0) {
+	const items = [];
+	for (let i = 0; i < count; i++) {
+		items.push({ id: from + i, label: 'item ' + (from + i) });
+	}
+	return items;
+}
+
+function listItem (item) {
+	return h.li({ class: 'item' }, [
+		h.span(item.label),
+		h.button('remove', h.listen('click', () => {})),
+	]);
+}
+
+function listComponent (model) {
+	return h.ul(h.compose(model.items, listItem));
+}
+
+// the previous approach, kept here only as a baseline to measure against
+function linearFind (attachmentType, keys) {
+	let i = 0;
+	search: while (i < this.priorAttachments.length) {
+		const attachment = this.priorAttachments[i];
+		if (attachment instanceof attachmentType) {
+			for (let j = 0; j < Math.max(attachment.keys.length, keys.length); j++) {
+				if (keys[j] != attachment.keys[j]) {
+					i++;
+					continue search;
+				}
+			}
+			this.priorAttachments.splice(i, 1);
+			this.attachments.push(attachment);
+			return attachment;
+		}
+		i++;
+	}
+	return null;
+}
+
+function measure (action) {
+	const start = performance.now();
+	action();
+	return performance.now() - start;
+}
+
+// the same renders for both, returning the time of each step
+function workload (count) {
+	const parent = document.createElement('div');
+	const model = { items: createItems(count) };
+	let context = null;
+
+	const results = [];
+	results.push(['render', measure(() => {
+		context = h.render(parent, model, listComponent);
+	})]);
+	results.push(['re-render unchanged', measure(() => {
+		context.update(model);
+	})]);
+	results.push(['re-render reversed', measure(() => {
+		model.items.reverse();
+		context.update(model);
+	})]);
+	results.push(['re-render half replaced', measure(() => {
+		// replaced in place, so the list itself is still reused
+		const kept = model.items.filter((item, index) => index % 2 == 0);
+		model.items.splice(0, model.items.length, ...kept, ...createItems(count / 2, count));
+		context.update(model);
+	})]);
+
+	context.dispose();
+	return results;
+}
+
+export function run (log = console.log) {
+	// render phases are not exported, so reach the prototype through the phase returned by an update
+	const probe = h.render(document.createElement('div'), {}, () => null);
+	const renderPhase = Object.getPrototypeOf(probe.update({}));
+	probe.dispose();
+	const find = renderPhase.find;
+
+	// warm up both before measuring, so neither pays for compiling the render code
+	renderPhase.find = linearFind;
+	workload(COUNTS[0]);
+	renderPhase.find = find;
+	workload(COUNTS[0]);
+
+	for (const count of COUNTS) {
+		renderPhase.find = linearFind;
+		let before = null;
+		try {
+			before = workload(count);
+		} finally {
+			renderPhase.find = find;
+		}
+		const after = workload(count);
+
+		for (let i = 0; i < after.length; i++) {
+			const [name, ms] = after[i];
+			const baselineMs = before[i][1];
+			log(count + ' items ' + name
+				+ '  linear search: ' + baselineMs.toFixed(1) + 'ms'
+				+ '  index: ' + ms.toFixed(1) + 'ms'
+				+ '  x' + (baselineMs / ms).toFixed(1));
+		}
+	}
+}
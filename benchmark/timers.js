@@ -0,0 +1,95 @@
+// hair.js benchmark - MIT license, copyright 2024 Samuel Baird
+// ====================================================================================
+// Compare the timer queue in hair.core against the previous approach of
+// pushing into an array and sorting on every delay, with a linear splice to cancel
+//
+// Runs in a browser via benchmark/index.html, or directly with node
+//   node benchmark/timers.js
+// ====================================================================================
+
+import * as core from '../hair.core.js';
+
+const COUNTS = [100, 1000, 10000];
+
+// the previous approach, kept here only as a baseline to measure against
+class SortedArrayTimers {
+	constructor () {
+		this.delayedActions = [];
+		this.time = 0;
+	}
+
+	delay (seconds, action, owner) {
+		const delayed = { time: this.time + (seconds * 1000), action: action, owner: owner };
+		this.delayedActions.push(delayed);
+		this.delayedActions.sort((a, b) => { return b.time - a.time; });
+		return delayed;
+	}
+
+	cancel (owner) {
+		let i = 0;
+		while (i < this.delayedActions.length) {
+			const check = this.delayedActions[i];
+			if (check == owner || check.owner == owner) {
+				this.delayedActions.splice(i, 1);
+			} else {
+				i++;
+			}
+		}
+	}
+
+	advance (seconds) {
+		this.time += seconds * 1000;
+		while (this.delayedActions.length > 0 && this.delayedActions[this.delayedActions.length - 1].time <= this.time) {
+			this.delayedActions.pop().action();
+		}
+	}
+}
+
+// the same workload for both, schedule many delays, cancel half of them, then run them all
+function workload (count, delay, cancel, advance) {
+	let fired = 0;
+	const action = () => { fired++; };
+	const owners = [];
+	for (let i = 0; i < count; i++) {
+		const owner = {};
+		owners.push(owner);
+		delay(Math.random() * 10, action, owner);
+	}
+	for (let i = 0; i < count; i += 2) {
+		cancel(owners[i]);
+	}
+	advance(11);
+	return fired;
+}
+
+function measure (run) {
+	const start = performance.now();
+	const fired = run();
+	return { ms: performance.now() - start, fired: fired };
+}
+
+export function run (log = console.log) {
+	core.useManualTime();
+	for (const count of COUNTS) {
+		const baseline = new SortedArrayTimers();
+		const before = measure(() => workload(count,
+			(seconds, action, owner) => baseline.delay(seconds, action, owner),
+			(owner) => baseline.cancel(owner),
+			(seconds) => baseline.advance(seconds)));
+
+		const after = measure(() => workload(count,
+			(seconds, action, owner) => core.delay(seconds, action, owner),
+			(owner) => core.cancel(owner),
+			(seconds) => core.advanceTime(seconds, seconds)));
+
+		log(count + ' timers'
+			+ '  sorted array: ' + before.ms.toFixed(1) + 'ms (' + before.fired + ' fired)'
+			+ '  timer queue: ' + after.ms.toFixed(1) + 'ms (' + after.fired + ' fired)'
+			+ '  x' + (before.ms / after.ms).toFixed(1));
+	}
+	core.useBrowserTime();
+}
+
+if (typeof window == 'undefined') {
+	run();
+}
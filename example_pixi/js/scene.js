@@ -31,7 +31,8 @@ export class CharacterScene extends hp.PixiView {
 		};
 		
 		// set up an async coroutine fiber to play animations
-		this.schedule((fiber) => { this.showRandomAnimations(fiber); });
+		// returning the promise lets the fiber end quietly when the view is removed and its waits are cancelled
+		this.schedule((fiber) => this.showRandomAnimations(fiber));
 	}
 	
 	resize () {
@@ -4,16 +4,61 @@
 //   Watcher, watch, signal, removeWatcher
 //	   watch and signal allow components to "watch" any object for signals
 //	   signalling on a state or model object will trigger views to updates
+//     optional named channels let watchers receive only the signals they care about
 //     can be used as simple event system, objects are tracked in WeakMaps to prevent interfering with garbage collection
 //
+//   waitForSignal, signals
+//     await a signal, or iterate signals with for await, in async functions and fibers
+//
+//   batch, beginBatch, endBatch
+//     defer and deduplicate signals until the outermost batch ends
+//
+//   observable, isObservable
+//     opt in proxies of model objects that signal themselves on mutation, batched to the next frame
+//
+//   computed
+//     cached values derived from other objects, signalling themselves when those objects signal
+//
 //   DelayedAction, delay, timer, onNextFrame, onEveryFrame
 //     globally available timer and event callback
 //     all callbacks occur during a requestAnimationFrame timeslot, but animation frames are only active when required
 //
+//   onFixedUpdate
+//     fixed rate simulation steps with an accumulator, and an interpolation alpha for rendering
+//
+//   scheduleWork
+//     spread expensive jobs across frames within a per frame time budget
+//
+//   onError, reportError
+//     errors in timer actions, watchers and renders are isolated and routed to a configurable handler
+//
+//   suspendApp, resumeApp, setSuspendWhenHidden, setMaxFrameDelta, lifecycle
+//     optionally freeze clocks while the page is hidden, and limit the time a single frame can advance
+//
+//   Clock, createClock, setClock, getClock
+//     timers are queued on the clock of their owner, clocks can be paused, resumed and time scaled
+//
+//   Time source, useManualTime, useBrowserTime, advanceTime, stepFrame
+//     all timing is read through a swappable time source, by default Date.now, setTimeout and requestAnimationFrame
+//     a manual time source allows tests to step a virtual clock and animation frames synchronously
+//
 //   Disposal markObjectAsDisposed, isObjectDisposed
 //	   arbitrarily mark any object as disposed
 //	   used to check where delayed actions and watched signals should be ignored if related to outdated renders
 //	   objects are tracked in a WeakSet to prevent interfering with garbage collection
+//
+//   adopt, disown, onDispose
+//     a disposal tree, disposing a parent disposes the children and callbacks it adopted
+//
+//   AbortSignal, abortSignalFor
+//     an AbortSignal can be given as the owner of timers, watchers and fibers, aborting it cancels them
+//     abortSignalFor provides a signal that aborts when its owner is disposed
+//
+//   setDebugTracking, getPendingActions, getWatcherCounts, getActiveFibers
+//     runtime introspection of pending timers, watchers and fibers, for leak assertions in tests and dev overlays
+//
+//   startRecording, replay, tagObject
+//     record signals and timer dispatches, and replay recorded signals against a fresh model on a manual clock
 // ===============================================================================
 
 // -------------------------------------------------------------------------------
@@ -22,20 +67,28 @@
 
 // -- watch / signal / removeWatcher -------------------------------------------
 // a global weakly linked signal/watch system
+// signals and watchers can optionally name a channel, eg. signal(model, 'score') and watch(model, 'score', action)
+// a watcher without a channel receives every signal, and a signal without a channel reaches every watcher
 
 const watchMap = new WeakMap();
 const ownerMap = new WeakMap();
 
-export function watch(object, action, owner) {
+// watch (object, action, owner) or watch (object, channel, action, owner)
+export function watch(object, ...args) {
+	const channel = (typeof args[0] == 'string') ? args.shift() : null;
+	const [action, owner] = args;
+
 	// add this action and owner to weak watch list for this object
 	if (!watchMap.has(object)) {
 		watchMap.set(object, []);
 	}
-	const watcher = new Watcher(object, action, owner);
+	const watcher = new Watcher(object, action, owner, channel);
 	watchMap.get(object).push(watcher);
+	trackedWatchers?.add(watcher);
 
 	// reverse map owner to watched objects to help with reversal
 	if (owner) {
+		linkAbortSignal(owner);
 		if (!ownerMap.has(owner)) {
 			ownerMap.set(owner, []);
 		}
@@ -47,14 +100,39 @@ export function watch(object, action, owner) {
 }
 
 export function signal(object, ...args) {
-	if (!watchMap.has(object) || isObjectDisposed(object)) {
+	if (isObjectDisposed(object)) {
+		return;
+	}
+
+	// hold signals until the outermost batch ends
+	if (batchDepth > 0) {
+		queueBatchedSignal(object, args);
 		return;
 	}
 
+	// a string as the first argument names the channel of this signal
+	// signals are recorded even with nothing watching, so a replay can be compared with the original
+	const channel = (typeof args[0] == 'string') ? args[0] : null;
+	recordEvent('signal', object, { channel: channel, args: args });
+
 	const list = watchMap.get(object);
+	if (!list) {
+		return;
+	}
 	for (const watcher of [...list]) {
-		if (!isObjectDisposed(watcher.owner)) {
-			watcher.action(...args);
+		if (isObjectDisposed(watcher.owner)) {
+			continue;
+		}
+		// each watcher is isolated, so one failing watcher does not prevent the rest
+		try {
+			if (watcher.channel == null || channel == null) {
+				watcher.action(...args);
+			} else if (watcher.channel == channel) {
+				// channel watchers receive the arguments following the channel name
+				watcher.action(...args.slice(1));
+			}
+		} catch (error) {
+			reportError(error, { type: 'signal', owner: watcher.owner, object: object, channel: channel });
 		}
 	}
 }
@@ -74,6 +152,7 @@ export function removeWatcher(ownerOrWatcher) {
 				watchMap.delete(ownerOrWatcher.object);
 			}
 		}
+		trackedWatchers?.delete(ownerOrWatcher);
 
 	} else if (ownerMap.has(ownerOrWatcher)) {
 		const allWatchersForOwner = ownerMap.get(ownerOrWatcher);
@@ -85,10 +164,530 @@ export function removeWatcher(ownerOrWatcher) {
 }
 
 class Watcher {
-	constructor (object, action, owner) {
+	constructor (object, action, owner, channel = null) {
 		this.object = object;
 		this.action = action;
 		this.owner = owner;
+		this.channel = channel;
+	}
+}
+
+// -- waitForSignal / signals -------------------------------------------
+// promise and async iterator adapters over watch and signal, for use in async functions and fibers
+//   const [points] = await waitForSignal(game, 'score', (game, points) => points > 100, owner);
+//   for await (const args of signals(game, owner)) { ... }
+// arguments after the object can include a channel name, a predicate, and an owner in any order
+// if the owner is disposed (or is a fiber that is cancelled, or an aborted AbortSignal) the wait is rejected
+
+export function waitForSignal (object, ...args) {
+	const { channel, predicate, owner } = signalAdapterArguments(args);
+	return new Promise((resolve, reject) => {
+		const abortSignal = ownerAbortSignal(owner);
+		if (abortSignal?.aborted) {
+			reject(abortSignal.reason);
+			return;
+		}
+
+		const onAbort = () => {
+			removeWatcher(watcher);
+			reject(abortSignal.reason);
+		};
+		const watcher = watchChannel(object, channel, (...signalArgs) => {
+			if (predicate && !predicate(object, ...signalArgs)) {
+				return;
+			}
+			removeWatcher(watcher);
+			abortSignal?.removeEventListener('abort', onAbort);
+			resolve(signalArgs);
+		}, owner);
+		abortSignal?.addEventListener('abort', onAbort, { once: true });
+	});
+}
+
+export function signals (object, ...args) {
+	const { channel, predicate, owner } = signalAdapterArguments(args);
+	return new SignalIterator(object, channel, predicate, owner);
+}
+
+function signalAdapterArguments (args) {
+	const result = { channel: null, predicate: null, owner: null };
+	for (const arg of args) {
+		if (typeof arg == 'string') {
+			result.channel = arg;
+		} else if (typeof arg == 'function') {
+			result.predicate = arg;
+		} else if (arg != null) {
+			result.owner = arg;
+		}
+	}
+	return result;
+}
+
+// an AbortSignal owner is used directly, so an already aborted signal is seen before anything is watched
+function ownerAbortSignal (owner) {
+	if (!owner) {
+		return null;
+	}
+	return (owner instanceof AbortSignal) ? owner : abortSignalFor(owner);
+}
+
+function watchChannel (object, channel, action, owner) {
+	return (channel == null) ? watch(object, action, owner) : watch(object, channel, action, owner);
+}
+
+// queues the arguments of each signal until they are read
+class SignalIterator {
+	constructor (object, channel, predicate, owner) {
+		this.queue = [];
+		this.pending = null;
+		this.isDone = false;
+		this.error = null;
+
+		this.abortSignal = ownerAbortSignal(owner);
+		this.onAbort = () => { this.#finish(this.abortSignal.reason); };
+		if (this.abortSignal?.aborted) {
+			this.#finish(this.abortSignal.reason);
+			return;
+		}
+
+		this.watcher = watchChannel(object, channel, (...signalArgs) => {
+			if (predicate && !predicate(object, ...signalArgs)) {
+				return;
+			}
+			if (this.pending) {
+				const pending = this.pending;
+				this.pending = null;
+				pending.resolve({ value: signalArgs, done: false });
+			} else {
+				this.queue.push(signalArgs);
+			}
+		}, owner);
+		this.abortSignal?.addEventListener('abort', this.onAbort, { once: true });
+	}
+
+	[Symbol.asyncIterator] () {
+		return this;
+	}
+
+	next () {
+		if (this.queue.length > 0) {
+			return Promise.resolve({ value: this.queue.shift(), done: false });
+		}
+		if (this.error) {
+			return Promise.reject(this.error);
+		}
+		if (this.isDone) {
+			return Promise.resolve({ value: undefined, done: true });
+		}
+		return new Promise((resolve, reject) => {
+			this.pending = { resolve: resolve, reject: reject };
+		});
+	}
+
+	// called when a for await loop exits early
+	return () {
+		this.#finish(null);
+		return Promise.resolve({ value: undefined, done: true });
+	}
+
+	#finish (error) {
+		if (this.isDone) {
+			return;
+		}
+		this.isDone = true;
+		this.error = error;
+		this.queue = [];
+		if (this.watcher) {
+			removeWatcher(this.watcher);
+		}
+		this.abortSignal?.removeEventListener('abort', this.onAbort);
+
+		if (this.pending) {
+			const pending = this.pending;
+			this.pending = null;
+			if (error) {
+				pending.reject(error);
+			} else {
+				pending.resolve({ value: undefined, done: true });
+			}
+		}
+	}
+}
+
+// -- batch / beginBatch / endBatch -------------------------------------------
+// defer signals raised during a batch, dispatching each distinct signal once, in order, when the outermost batch ends
+
+let batchDepth = 0;
+let batchedSignals = [];
+const batchedSignalArgs = new Map();		// object => list of args already queued for that object
+
+export function batch (action) {
+	beginBatch();
+	try {
+		return action();
+	} finally {
+		endBatch();
+	}
+}
+
+// the same as batch, but can be held open across async work, every beginBatch must be matched with an endBatch
+export function beginBatch () {
+	batchDepth++;
+}
+
+export function endBatch () {
+	if (batchDepth == 0) {
+		throw new Error('endBatch without a matching beginBatch');
+	}
+	if (--batchDepth > 0) {
+		return;
+	}
+
+	const signals = batchedSignals;
+	batchedSignals = [];
+	batchedSignalArgs.clear();
+	for (const batched of signals) {
+		signal(batched.object, ...batched.args);
+	}
+}
+
+function queueBatchedSignal (object, args) {
+	// ignore repeats of a signal already queued with the same arguments
+	let queuedArgs = batchedSignalArgs.get(object);
+	if (!queuedArgs) {
+		queuedArgs = [];
+		batchedSignalArgs.set(object, queuedArgs);
+	}
+	for (const queued of queuedArgs) {
+		if (queued.length == args.length && queued.every((arg, index) => arg === args[index])) {
+			return;
+		}
+	}
+	queuedArgs.push(args);
+	batchedSignals.push({ object: object, args: args });
+}
+
+// -- observable ---------------------------------------
+// opt in proxies that signal automatically when they are mutated
+// nested plain objects and arrays read through an observable are also observable
+// signals are gathered and dispatched once per object at the start of the next frame
+
+const observableProxies = new WeakMap();		// original object => proxy
+const observableTargets = new WeakMap();		// proxy => original object
+const pendingObservableSignals = new Set();
+let observableFlush = null;
+
+const PHASE_OBSERVABLE_SIGNALS = -100;
+
+export function observable (object) {
+	if (object == null || typeof object != 'object' || observableTargets.has(object)) {
+		return object;
+	}
+	let proxy = observableProxies.get(object);
+	if (!proxy) {
+		proxy = new Proxy(object, observableHandler);
+		observableProxies.set(object, proxy);
+		observableTargets.set(proxy, object);
+	}
+	return proxy;
+}
+
+export function isObservable (object) {
+	return observableTargets.has(object);
+}
+
+const observableHandler = {
+	// accessors run against the original object, so getters and setters using private fields still work
+	get (target, key, receiver) {
+		trackDependency(observableProxies.get(target));
+		const value = Reflect.get(target, key);
+		if (typeof key != 'symbol' && isPlainObjectOrArray(value)) {
+			return observable(value);
+		}
+		return value;
+	},
+
+	set (target, key, value, receiver) {
+		// keep the original objects in the model, proxies are only handed out on read
+		value = observableTargets.get(value) ?? value;
+		const changed = !Object.prototype.hasOwnProperty.call(target, key) || target[key] !== value;
+		const result = Reflect.set(target, key, value);
+		if (changed) {
+			queueObservableSignal(receiver);
+		}
+		return result;
+	},
+
+	deleteProperty (target, key) {
+		const existed = Object.prototype.hasOwnProperty.call(target, key);
+		const result = Reflect.deleteProperty(target, key);
+		if (existed) {
+			queueObservableSignal(observableProxies.get(target));
+		}
+		return result;
+	},
+};
+
+function isPlainObjectOrArray (value) {
+	if (value == null || typeof value != 'object') {
+		return false;
+	}
+	if (Array.isArray(value)) {
+		return true;
+	}
+	// class instances are only observable when wrapped explicitly, as methods using private fields cannot run on a proxy
+	const prototype = Object.getPrototypeOf(value);
+	return (prototype == Object.prototype || prototype == null);
+}
+
+function queueObservableSignal (proxy) {
+	pendingObservableSignals.add(proxy);
+	if (!observableFlush) {
+		observableFlush = onNextFrame(flushObservableSignals);
+		observableFlush.phase = PHASE_OBSERVABLE_SIGNALS;
+	}
+}
+
+function flushObservableSignals () {
+	observableFlush = null;
+	const objects = [...pendingObservableSignals];
+	pendingObservableSignals.clear();
+	batch(() => {
+		for (const object of objects) {
+			signal(object);
+		}
+	});
+}
+
+// -- computed ---------------------------------------
+// a cached value derived from other objects, that signals itself when any of those objects signal
+// reads of observables during evaluation are recorded automatically, other objects are recorded
+// by passing them through the use function given to the evaluation, eg.
+//   const remaining = computed((use) => use(model).items.filter((item) => !item.done).length);
+
+const dependencyTrackers = [];
+
+export function computed (evaluate) {
+	return new Computed(evaluate);
+}
+
+function trackDependency (object) {
+	if (dependencyTrackers.length > 0 && object) {
+		dependencyTrackers[dependencyTrackers.length - 1].add(object);
+	}
+}
+
+class Computed {
+	constructor (evaluate) {
+		this.evaluate = evaluate;
+		this.isStale = true;
+		this.cachedValue = undefined;
+		this.dependencies = new Set();
+	}
+
+	get value () {
+		// a computed read within another computed is a dependency of that one
+		trackDependency(this);
+		if (this.isStale) {
+			this.#recompute();
+		}
+		return this.cachedValue;
+	}
+
+	invalidate () {
+		if (this.isStale) {
+			// watchers have not read the value since the last signal
+			return;
+		}
+		this.isStale = true;
+		signal(this);
+	}
+
+	#recompute () {
+		removeWatcher(this);
+
+		const dependencies = new Set();
+		dependencyTrackers.push(dependencies);
+		try {
+			this.cachedValue = this.evaluate((object) => {
+				trackDependency(object);
+				return object;
+			});
+		} finally {
+			dependencyTrackers.pop();
+		}
+
+		this.dependencies = dependencies;
+		this.isStale = false;
+		for (const dependency of dependencies) {
+			watch(dependency, () => { this.invalidate(); }, this);
+		}
+	}
+
+	dispose () {
+		removeWatcher(this);
+		this.dependencies = new Set();
+		markObjectAsDisposed(this);
+	}
+}
+
+// -- onError / reportError ---------------------------------------
+// errors thrown by timer actions, watchers and signal driven renders are caught and reported here
+// rather than interrupting the frame, details include the type of action, its owner and phase where relevant
+
+let errorHandler = null;
+
+// set a handler (error, details) for reported errors, or null to restore logging to the console
+export function onError (handler) {
+	errorHandler = handler;
+}
+
+export function reportError (error, details = {}) {
+	if (errorHandler) {
+		try {
+			errorHandler(error, details);
+			return;
+		} catch (handlerError) {
+			console.error(handlerError);
+		}
+	}
+	console.error(error, details);
+}
+
+// -- time source ---------------------------------------
+// timers read the time and request frames through a swappable time source
+// the default uses the browser clock, a manual source lets tests drive time and frames directly
+
+const browserTimeSource = {
+	now: () => Date.now(),
+	setTimeout: (action, ms) => setTimeout(action, ms),
+	clearTimeout: (id) => clearTimeout(id),
+	requestAnimationFrame: (action) => requestAnimationFrame(action),
+};
+
+let timeSource = browserTimeSource;
+
+const DEFAULT_FRAME_SECONDS = 1 / 60;
+
+// replace the time source used by all timers, pending timers keep their remaining delay
+export function setTimeSource (source) {
+	if (longDelayTimeout) {
+		timeSource.clearTimeout(longDelayTimeout);
+		longDelayTimeout = false;
+	}
+
+	// clocks keep their own time, so only the frame start needs to move onto the new source
+	frameStartTime += source.now() - timeSource.now();
+
+	timeSource = source;
+	frameIsRequested = false;
+	requestFrameTimer();
+	return source;
+}
+
+// switch to a virtual clock where time only moves with advanceTime or stepFrame
+export function useManualTime (startTime = 0) {
+	return setTimeSource(new ManualTimeSource(startTime));
+}
+
+// return to the browser clock and animation frames
+export function useBrowserTime () {
+	return setTimeSource(browserTimeSource);
+}
+
+// advance manual time, stepping frames along the way so due actions fire in order
+export function advanceTime (seconds, frameSeconds = DEFAULT_FRAME_SECONDS) {
+	requireManualTimeSource().advance(seconds, frameSeconds);
+}
+
+// advance manual time as advanceTime, letting awaited code continue after each frame before time moves on
+// use this to step fibers and async functions through their waits, eg. await core.advanceTimeAsync(3);
+export function advanceTimeAsync (seconds, frameSeconds = DEFAULT_FRAME_SECONDS) {
+	return requireManualTimeSource().advanceAsync(seconds, frameSeconds);
+}
+
+// advance manual time by a single frame, and run that frame if one was requested
+export function stepFrame (seconds = DEFAULT_FRAME_SECONDS) {
+	requireManualTimeSource().stepFrame(seconds);
+}
+
+function requireManualTimeSource () {
+	if (!(timeSource instanceof ManualTimeSource)) {
+		throw new Error('manual time is not in use, call useManualTime first');
+	}
+	return timeSource;
+}
+
+class ManualTimeSource {
+	constructor (startTime = 0) {
+		this.time = startTime;
+		this.timeouts = [];
+		this.frameRequests = [];
+		this.nextTimeoutID = 1;
+	}
+
+	now () {
+		return this.time;
+	}
+
+	setTimeout (action, ms) {
+		const id = this.nextTimeoutID++;
+		this.timeouts.push({ id: id, time: this.time + ms, action: action });
+		return id;
+	}
+
+	clearTimeout (id) {
+		const index = this.timeouts.findIndex((timeout) => timeout.id == id);
+		if (index >= 0) {
+			this.timeouts.splice(index, 1);
+		}
+	}
+
+	requestAnimationFrame (action) {
+		this.frameRequests.push(action);
+	}
+
+	// returns whether any timeouts or frames were run
+	stepFrame (seconds = DEFAULT_FRAME_SECONDS) {
+		this.time += (seconds * 1000);
+
+		// timeouts due by now fire first, as they would between browser frames
+		// timeouts set while these run wait for the next step
+		const due = this.timeouts.filter((timeout) => timeout.time <= this.time);
+		for (const timeout of due) {
+			// skip any cleared by an earlier timeout
+			if (this.timeouts.includes(timeout)) {
+				this.clearTimeout(timeout.id);
+				timeout.action();
+			}
+		}
+
+		// then any frames requested up to this point
+		const frameRequests = this.frameRequests;
+		this.frameRequests = [];
+		for (const action of frameRequests) {
+			action(this.time);
+		}
+		return (due.length > 0 || frameRequests.length > 0);
+	}
+
+	advance (seconds, frameSeconds = DEFAULT_FRAME_SECONDS) {
+		const frameMs = frameSeconds * 1000;
+		const target = this.time + (seconds * 1000);
+		while (this.time < target) {
+			this.stepFrame(Math.min(frameMs, target - this.time) / 1000);
+		}
+	}
+
+	async advanceAsync (seconds, frameSeconds = DEFAULT_FRAME_SECONDS) {
+		const frameMs = frameSeconds * 1000;
+		const target = this.time + (seconds * 1000);
+		while (this.time < target) {
+			if (this.stepFrame(Math.min(frameMs, target - this.time) / 1000)) {
+				// a real task only begins once every pending promise callback has run
+				await new Promise((resolve) => { setTimeout(resolve, 0); });
+			}
+		}
 	}
 }
 
@@ -96,14 +695,12 @@ class Watcher {
 // a consolidated timer for events that need to occur on a later render frame
 // requestAnimationFrame is used to align updates smoothly with rendering
 // but is only activated around when delayed actions are actually requested
-
-const delayedActions = [];
+// each delayed action is queued on the clock of its owner (see clocks below)
 
 export function delay (seconds, action, owner) {
-	const delayedAction = new DelayedAction(Date.now() + (seconds * 1000), action, owner);
-	delayedActions.push(delayedAction);
-	// sort the upcoming actions to the end of the list
-	delayedActions.sort((a, b) => { return b.time - a.time; });
+	const clock = getClock(owner);
+	const delayedAction = new DelayedAction(clock.now() + (seconds * 1000), action, owner);
+	clock.add(delayedAction);
 	requestFrameTimer();
 	return delayedAction;
 }
@@ -116,7 +713,7 @@ export function timer (seconds, action, owner) {
 
 export function onNextFrame (action, owner) {
 	const delayedAction = new DelayedAction(0, action, owner);
-	delayedActions.push(delayedAction);
+	getClock(owner).add(delayedAction);
 	requestFrameTimer();
 	return delayedAction;
 }
@@ -129,9 +726,9 @@ export function onEveryFrame (action, owner) {
 
 export function onAnyFrame (action, owner) {
 	const delayedAction = new DelayedAction(0, action, owner);
-	delayedActions.push(delayedAction);
 	delayedAction.repeat = 0;
 	delayedAction.doesNotRequestFrames = true;
+	getClock(owner).add(delayedAction);
 	return delayedAction;
 }
 
@@ -146,23 +743,35 @@ export function cancel (owner) {
 		return;
 	}
 
-	let i = 0;
-	while (i < delayedActions.length) {
-		const check = delayedActions[i];
-		if (check == owner || check.owner == owner) {
-			delayedActions.splice(i, 1);
-		} else {
-			i++;
+	// cancel a specific action
+	if (owner instanceof DelayedAction) {
+		cancelAction(owner);
+	}
+
+	// or all actions of an owner
+	const actionsForOwner = ownerActionsMap.get(owner);
+	if (actionsForOwner) {
+		ownerActionsMap.delete(owner);
+		for (const delayed of actionsForOwner) {
+			cancelAction(delayed);
 		}
 	}
 }
 
+function cancelAction (delayed) {
+	if (!delayed.clock) {
+		return;
+	}
+	delayed.clock.remove(delayed);
+	delayed.onCancel?.();
+}
+
 const READY_TIME = 50;			// how many ms ahead of the requested time slot do we switch from setTimeout to requestAnimationFrame
 let frameIsRequested = false;	// is an animationFrameRequest for the next frame already in play?
 let longDelayTimeout = false;	// is a timeout for delayed animation frames already in play?
 
 // set a consistent time at the start of any timer events
-let frameStartTime = Date.now();
+let frameStartTime = timeSource.now();
 let isInFrameDuration = false;
 export let frameDeltaSeconds = 0;
 
@@ -173,90 +782,154 @@ export function getFrameStartTime() {
 		return frameStartTime; 
 	} else {
 		// otherwise the time of the last frame start is unreliable
-		return Date.now();
+		return timeSource.now();
+	}
+}
+
+// -- suspend / resume ---------------------------------------
+// when the page is hidden, browsers stop animation frames, so the first frame back would see a long delta
+// optionally suspend all clocks while hidden, and cap the time any single frame can advance the clocks
+// models can watch the lifecycle object for 'suspend' and 'resume' signals
+
+let isSuspended = false;
+let suspendWhenHidden = false;
+let suspendedByVisibility = false;
+let maxFrameDeltaMs = null;
+
+export const lifecycle = {
+	isSuspended: false,
+};
+
+// limit how far clocks advance in a single frame, or null for no limit
+export function setMaxFrameDelta (seconds) {
+	maxFrameDeltaMs = (seconds == null) ? null : seconds * 1000;
+}
+
+// suspend clocks automatically while the page is hidden
+export function setSuspendWhenHidden (enabled) {
+	suspendWhenHidden = enabled;
+	if (!enabled && suspendedByVisibility) {
+		resumeApp();
+	} else if (enabled && !isSuspended && typeof document != 'undefined' && document.hidden) {
+		suspendApp();
+		suspendedByVisibility = true;
+	}
+}
+
+// freeze all clocks until resumed, frames can still run but time will not advance
+export function suspendApp () {
+	if (isSuspended) {
+		return;
+	}
+	// bring clocks up to date with the time before suspending, actions now due will run on the next frame after resuming
+	const now = timeSource.now();
+	mainClock.advance(elapsedFrameTime(now));
+	frameStartTime = now;
+	isSuspended = true;
+	lifecycle.isSuspended = true;
+	signal(lifecycle, 'suspend');
+}
+
+export function resumeApp () {
+	if (!isSuspended) {
+		return;
+	}
+	// time spent suspended does not count towards the next frame
+	frameStartTime = timeSource.now();
+	isSuspended = false;
+	suspendedByVisibility = false;
+	lifecycle.isSuspended = false;
+	requestFrameTimer();
+	signal(lifecycle, 'resume');
+}
+
+// the time passed since the last frame start that clocks should advance by
+function elapsedFrameTime (now) {
+	if (isSuspended) {
+		return 0;
 	}
+	const elapsed = now - frameStartTime;
+	return (maxFrameDeltaMs == null) ? elapsed : Math.min(elapsed, maxFrameDeltaMs);
+}
+
+if (typeof document != 'undefined') {
+	document.addEventListener('visibilitychange', () => {
+		if (document.hidden) {
+			if (suspendWhenHidden && !isSuspended) {
+				suspendApp();
+				suspendedByVisibility = true;
+			}
+		} else if (suspendedByVisibility) {
+			// only resume a suspend that was started by hiding the page
+			resumeApp();
+		}
+	});
 }
 
 function requestFrameTimer (force = false) {
-	if (frameIsRequested || (!force && delayedActions.length == 0)) {
+	if (frameIsRequested) {
 		return;
 	}
 
 	// cancel any current timeout
 	if (longDelayTimeout) {
-		clearTimeout(longDelayTimeout);
+		timeSource.clearTimeout(longDelayTimeout);
 		longDelayTimeout = false;
 	}
 
 	// work out if a long delay or short delay is needed next
-	let next = false;
-	if (force) {
-		next = 0;
-	} else {
-		let i = delayedActions.length;
-		while (--i >= 0) {
-			if (!delayedActions[i].doesNotRequestFrames) {
-				next = delayedActions[i].time;
-				break;
-			}
-		}
-	}
+	const next = force ? 0 : mainClock.nextFrameRequestTime();
 	if (next === false) {
 		return;
 	}
 
 	// if the next action is soon then request an animation frame
-	const now = Date.now();
-	if (next - now < READY_TIME) {
+	const now = timeSource.now();
+	if (next - now <= READY_TIME) {
 		frameIsRequested = true;
-		requestAnimationFrame(_animationFrame);
+		timeSource.requestAnimationFrame(_animationFrame);
 		return;
 	}
 
 	// if the next action is not soon then request a timeout closer to the time
-	longDelayTimeout = setTimeout(requestFrameTimer, (next - now) - READY_TIME);
+	longDelayTimeout = timeSource.setTimeout(requestFrameTimer, (next - now) - READY_TIME);
 }
 
 function _animationFrame () {
 	// set aside all actions now due
-	const now = Date.now();
-	frameDeltaSeconds = (now - frameStartTime) / 1000.0;
+	const now = timeSource.now();
+	frameDeltaSeconds = elapsedFrameTime(now) / 1000.0;
 	frameStartTime = now;
 
+	// move all clocks forward, and gather what is due on each
+	mainClock.advance(frameDeltaSeconds * 1000);
 	const toBeActioned = [];
-	const toBeRepeated = [];
-	while (delayedActions.length > 0 && delayedActions[delayedActions.length - 1].time <= frameStartTime) {
-		const delayed = delayedActions.pop();
-		toBeActioned.push(delayed);
-		// does this action have a repeat built in
-		if (typeof delayed.repeat == 'number' && !isObjectDisposed(delayed.owner)) {
-			toBeRepeated.push(delayed);
-		}
-	}
-	// reschedule repeating actions
-	if (toBeRepeated.length > 0) {
-		for (const delayed of toBeRepeated) {
-			delayed.time = frameStartTime + (delayed.repeat * 1000);
-			delayedActions.push(delayed);
-		}
-		delayedActions.sort((a, b) => { return b.time - a.time; });
-	}
+	mainClock.collectDueActions(toBeActioned);
 
 	// make sure the next frame is correctly queued if required
 	frameIsRequested = false;
 	requestFrameTimer();
 
-	// ordered by phase to allow more consistent dispatch ordering
-	toBeActioned.sort((a, b) => { return a.phase - b.phase; });
+	// ordered by phase (then priority) to allow more consistent dispatch ordering
+	toBeActioned.sort((a, b) => { return (a.phase - b.phase) || (b.priority - a.priority); });
 
 	// dispatch all actions (ignoring disposed owners)
+	// each action is isolated, so one failing action does not prevent the rest of the frame
 	isInFrameDuration = true;
-	for (const delayed of toBeActioned) {
-		if (!isObjectDisposed(delayed.owner)) {
-			delayed.action();
+	try {
+		for (const delayed of toBeActioned) {
+			if (!isObjectDisposed(delayed.owner)) {
+				recordEvent('timer', delayed.owner, { phase: delayed.phase });
+				try {
+					delayed.action();
+				} catch (error) {
+					reportError(error, { type: 'timer', owner: delayed.owner, phase: delayed.phase });
+				}
+			}
 		}
+	} finally {
+		isInFrameDuration = false;
 	}
-	isInFrameDuration = false;
 }
 
 class DelayedAction {
@@ -270,6 +943,17 @@ class DelayedAction {
 
 		// override this with another number to control how timer events are sorted within the same timeslice
 		this.phase = 0;
+
+		// actions in the same phase are dispatched highest priority first
+		this.priority = 0;
+
+		// the clock this action is queued on, and its position in that clock's queue
+		this.clock = null;
+		this.queueIndex = -1;
+		this.sequence = 0;
+
+		// optionally set to be told when this action is cancelled while still queued, including by cancelling its owner
+		this.onCancel = null;
 	}
 	
 	cancel () {
@@ -278,13 +962,459 @@ class DelayedAction {
 }
 
 
-// -- async fibers ---------------------------------------
-// a fiber is a sequence of actions in an async function, that can be cancelled
+// -- fixed update ---------------------------------------
+// run a simulation step at a fixed rate, independent of the animation frame rate
+// each frame the clock delta is accumulated and as many fixed steps as are due are run (up to maxCatchUpSteps)
+// the remaining fraction of a step is available as alpha, for render callbacks to interpolate between steps
+// fixed updates run before default phase actions and rendering in each frame
 
-// use this in async functions, eg. await core.wait(10);
-export function wait (timeOrCondition, owner, conditionCheckPeriod = 0) {
-	const fiber = new Fiber(owner);
-	return fiber.wait(timeOrCondition, conditionCheckPeriod);
+const PHASE_FIXED_UPDATE = -5;
+const DEFAULT_MAX_CATCH_UP_STEPS = 5;
+
+export function onFixedUpdate (hz, action, owner) {
+	return new FixedUpdate(hz, action, owner);
+}
+
+class FixedUpdate {
+	constructor (hz, action, owner) {
+		this.stepSeconds = 1 / hz;
+		this.action = action;
+		this.owner = owner;
+
+		// override to allow more or fewer steps in a single frame after a slow frame, further steps are dropped
+		this.maxCatchUpSteps = DEFAULT_MAX_CATCH_UP_STEPS;
+
+		this.accumulator = 0;
+		this.alpha = 0;
+
+		this.clock = getClock(owner);
+		this.frameAction = onEveryFrame(() => { this.#update(); }, owner);
+		this.frameAction.phase = PHASE_FIXED_UPDATE;
+	}
+
+	#update () {
+		this.accumulator += this.clock.frameDeltaSeconds;
+
+		let steps = 0;
+		while (this.accumulator >= this.stepSeconds && steps < this.maxCatchUpSteps) {
+			this.action(this.stepSeconds);
+			if (isObjectDisposed(this)) {
+				return;
+			}
+			this.accumulator -= this.stepSeconds;
+			steps++;
+		}
+
+		// drop any time that could not be caught up
+		if (this.accumulator >= this.stepSeconds) {
+			this.accumulator %= this.stepSeconds;
+		}
+		this.alpha = this.accumulator / this.stepSeconds;
+	}
+
+	cancel () {
+		this.frameAction.cancel();
+		markObjectAsDisposed(this);
+	}
+}
+
+// -- scheduled work ---------------------------------------
+// spread an expensive job over frames, running chunks of work each frame until a time budget is used
+// work can be a generator (or generator function), yielding between chunks and returning the result
+// or a plain function called once per chunk, where false or undefined continues and any other value completes
+//   const path = await scheduleWork(function* () { ...; yield; ...; return path; }, { budgetMs: 4, owner: scene });
+// work runs after default phase actions and before rendering, higher priority work first
+// the work is held by its owner like other timers, cancelling or disposing the owner rejects the promise with a CancelledError
+
+const PHASE_SCHEDULED_WORK = 5;
+const DEFAULT_WORK_BUDGET_MS = 4;
+
+export function scheduleWork (work, { budgetMs = DEFAULT_WORK_BUDGET_MS, owner = null, priority = 0 } = {}) {
+	return new Promise((resolve, reject) => {
+		new ScheduledWork(work, budgetMs, owner, priority, resolve, reject);
+	});
+}
+
+class ScheduledWork {
+	constructor (work, budgetMs, owner, priority, resolve, reject) {
+		this.work = work;
+		this.iterator = (typeof work?.next == 'function') ? work : null;
+		this.budgetMs = budgetMs;
+		this.owner = owner;
+		this.resolve = resolve;
+		this.reject = reject;
+
+		if (owner) {
+			adopt(owner, this);
+		}
+		if (isObjectDisposed(this)) {
+			return;
+		}
+		this.frameAction = onEveryFrame(() => { this.#update(); }, owner);
+		this.frameAction.phase = PHASE_SCHEDULED_WORK;
+		this.frameAction.priority = priority;
+		this.frameAction.onCancel = () => { this.cancel(); };
+	}
+
+	#update () {
+		// budgets are measured in real time, regardless of clocks or a manual time source
+		const start = performance.now();
+		try {
+			do {
+				const [done, result] = this.#step();
+				if (done) {
+					this.#complete();
+					this.resolve(result);
+					return;
+				}
+			} while (performance.now() - start < this.budgetMs && !isObjectDisposed(this));
+		} catch (error) {
+			this.#complete();
+			this.reject(error);
+		}
+	}
+
+	// run one chunk of work, returning whether it is done and its result
+	#step () {
+		if (!this.iterator) {
+			const result = this.work();
+			// a generator function is started on its first call
+			if (typeof result?.next == 'function' && typeof result[Symbol.iterator] == 'function') {
+				this.iterator = result;
+			} else {
+				return [!(result === false || result === undefined), result];
+			}
+		}
+
+		const next = this.iterator.next();
+		return [next.done, next.value];
+	}
+
+	#complete () {
+		markObjectAsDisposed(this);
+		this.frameAction.cancel();
+		disown(this);
+	}
+
+	cancel () {
+		if (isObjectDisposed(this)) {
+			return;
+		}
+		markObjectAsDisposed(this);
+		this.frameAction?.cancel();
+		this.reject(new CancelledError('scheduled work cancelled'));
+		// allow finally blocks in a generator to run
+		this.iterator?.return?.();
+	}
+}
+
+// -- clocks ---------------------------------------
+// every delayed action belongs to a clock, by default the main clock that follows the time source
+// clocks created beneath it can be paused, resumed or time scaled, along with their child clocks
+// owners attached to a clock take their delays, timers, fibers and tweens with them
+
+const clockMap = new WeakMap();
+const ownerActionsMap = new WeakMap();
+let nextActionSequence = 0;
+
+export function createClock (parent = mainClock) {
+	return new Clock(parent);
+}
+
+// attach an owner to a clock, timers requested for that owner are then run on that clock
+export function setClock (owner, clock) {
+	if (clock) {
+		clockMap.set(owner, clock);
+	} else {
+		clockMap.delete(owner);
+	}
+}
+
+export function getClock (owner) {
+	return (owner && clockMap.get(owner)) ?? mainClock;
+}
+
+class Clock {
+	#timeScale = 1;
+
+	constructor (parent = null) {
+		this.parent = parent;
+		this.children = [];
+		this.isPaused = false;
+
+		// actions queued on this clock, ordered by time in a priority queue
+		// and actions that never request frames, checked on every frame
+		this.queue = new TimerQueue();
+		this.passiveActions = new Set();
+
+		// clock time in ms as of the start of the current or most recent frame
+		this.time = parent ? parent.now() : timeSource.now();
+		this.frameDeltaSeconds = 0;
+
+		if (parent) {
+			parent.children.push(this);
+		}
+	}
+
+	get timeScale () {
+		return this.#timeScale;
+	}
+
+	set timeScale (value) {
+		this.#timeScale = value;
+		requestFrameTimer();
+	}
+
+	// combined time scale of this clock and its parents, 0 if any are paused
+	get effectiveTimeScale () {
+		if (this.isPaused) {
+			return 0;
+		}
+		return this.#timeScale * (this.parent ? this.parent.effectiveTimeScale : 1);
+	}
+
+	// the time on this clock, aligned to the frame start during frame actions
+	now () {
+		if (isInFrameDuration) {
+			return this.time;
+		}
+		return this.time + (elapsedFrameTime(timeSource.now()) * this.effectiveTimeScale);
+	}
+
+	pause () {
+		this.isPaused = true;
+	}
+
+	resume () {
+		this.isPaused = false;
+		requestFrameTimer();
+	}
+
+	add (delayedAction) {
+		delayedAction.clock = this;
+		delayedAction.sequence = nextActionSequence++;
+		if (delayedAction.owner) {
+			linkAbortSignal(delayedAction.owner);
+			if (!ownerActionsMap.has(delayedAction.owner)) {
+				ownerActionsMap.set(delayedAction.owner, new Set());
+			}
+			ownerActionsMap.get(delayedAction.owner).add(delayedAction);
+		}
+
+		// actions that never request frames run on any frame, so skip the queue
+		if (delayedAction.doesNotRequestFrames) {
+			this.passiveActions.add(delayedAction);
+		} else {
+			this.queue.push(delayedAction);
+		}
+	}
+
+	remove (delayedAction) {
+		if (delayedAction.clock != this) {
+			return;
+		}
+		if (!this.passiveActions.delete(delayedAction)) {
+			this.queue.remove(delayedAction);
+		}
+		ownerActionsMap.get(delayedAction.owner)?.delete(delayedAction);
+		delayedAction.clock = null;
+	}
+
+	advance (deltaMs) {
+		const scaledMs = (this.isPaused ? 0 : deltaMs * this.#timeScale);
+		this.time += scaledMs;
+		this.frameDeltaSeconds = scaledMs / 1000.0;
+		for (const child of this.children) {
+			child.advance(scaledMs);
+		}
+	}
+
+	// the time source time of the next action that should request a frame, or false if none
+	nextFrameRequestTime () {
+		const scale = this.effectiveTimeScale;
+		if (scale == 0) {
+			return false;
+		}
+
+		// while suspended clock time does not advance, but frames still run for actions already due (eg. onNextFrame)
+		const upcoming = this.queue.peek();
+		let next = false;
+		if (isSuspended) {
+			next = (upcoming && upcoming.time <= this.time) ? frameStartTime : false;
+		} else if (upcoming) {
+			next = frameStartTime + ((upcoming.time - this.time) / scale);
+		}
+		for (const child of this.children) {
+			const childNext = child.nextFrameRequestTime();
+			if (childNext !== false && (next === false || childNext < next)) {
+				next = childNext;
+			}
+		}
+		return next;
+	}
+
+	collectDueActions (toBeActioned) {
+		// paused clocks hold on to all their actions
+		if (this.isPaused || this.#timeScale == 0) {
+			return;
+		}
+
+		const toBeRepeated = [];
+		while (this.queue.length > 0 && this.queue.peek().time <= this.time) {
+			const delayed = this.queue.pop();
+			toBeActioned.push(delayed);
+			// does this action have a repeat built in
+			if (typeof delayed.repeat == 'number' && !isObjectDisposed(delayed.owner)) {
+				toBeRepeated.push(delayed);
+			} else {
+				ownerActionsMap.get(delayed.owner)?.delete(delayed);
+				delayed.clock = null;
+			}
+		}
+		// reschedule repeating actions
+		for (const delayed of toBeRepeated) {
+			delayed.time = this.time + (delayed.repeat * 1000);
+			delayed.sequence = nextActionSequence++;
+			this.queue.push(delayed);
+		}
+
+		for (const delayed of [...this.passiveActions]) {
+			if (delayed.time <= this.time) {
+				toBeActioned.push(delayed);
+				if (typeof delayed.repeat == 'number' && !isObjectDisposed(delayed.owner)) {
+					delayed.time = this.time + (delayed.repeat * 1000);
+				} else {
+					this.remove(delayed);
+				}
+			}
+		}
+
+		for (const child of this.children) {
+			child.collectDueActions(toBeActioned);
+		}
+	}
+
+	dispose () {
+		if (this.parent) {
+			const index = this.parent.children.indexOf(this);
+			if (index >= 0) {
+				this.parent.children.splice(index, 1);
+			}
+		}
+		for (const delayed of [...this.queue.heap, ...this.passiveActions]) {
+			this.remove(delayed);
+		}
+		markObjectAsDisposed(this);
+	}
+}
+
+// a binary min-heap of delayed actions ordered by time, then by the order they were queued
+// each action tracks its index in the heap so it can be removed without searching
+class TimerQueue {
+	constructor () {
+		this.heap = [];
+	}
+
+	get length () {
+		return this.heap.length;
+	}
+
+	peek () {
+		return this.heap[0];
+	}
+
+	push (delayedAction) {
+		delayedAction.queueIndex = this.heap.length;
+		this.heap.push(delayedAction);
+		this.#siftUp(delayedAction.queueIndex);
+	}
+
+	pop () {
+		const first = this.heap[0];
+		if (first) {
+			this.remove(first);
+		}
+		return first;
+	}
+
+	remove (delayedAction) {
+		const index = delayedAction.queueIndex;
+		if (index < 0 || this.heap[index] != delayedAction) {
+			return false;
+		}
+		const last = this.heap.pop();
+		if (index < this.heap.length) {
+			this.heap[index] = last;
+			last.queueIndex = index;
+			this.#siftDown(index);
+			this.#siftUp(last.queueIndex);
+		}
+		delayedAction.queueIndex = -1;
+		return true;
+	}
+
+	#isBefore (a, b) {
+		return (a.time < b.time) || (a.time == b.time && a.sequence < b.sequence);
+	}
+
+	#swap (i, j) {
+		const heap = this.heap;
+		const swap = heap[i];
+		heap[i] = heap[j];
+		heap[j] = swap;
+		heap[i].queueIndex = i;
+		heap[j].queueIndex = j;
+	}
+
+	#siftUp (index) {
+		while (index > 0) {
+			const parent = (index - 1) >> 1;
+			if (!this.#isBefore(this.heap[index], this.heap[parent])) {
+				break;
+			}
+			this.#swap(index, parent);
+			index = parent;
+		}
+	}
+
+	#siftDown (index) {
+		const length = this.heap.length;
+		while (true) {
+			const left = (index * 2) + 1;
+			const right = left + 1;
+			let first = index;
+			if (left < length && this.#isBefore(this.heap[left], this.heap[first])) {
+				first = left;
+			}
+			if (right < length && this.#isBefore(this.heap[right], this.heap[first])) {
+				first = right;
+			}
+			if (first == index) {
+				break;
+			}
+			this.#swap(index, first);
+			index = first;
+		}
+	}
+}
+
+export const mainClock = new Clock();
+
+// -- async fibers ---------------------------------------
+// a fiber is a sequence of actions in an async function, that can be cancelled
+// fibers can spawn child fibers, cancelling a fiber cancels its children and
+// rejects any pending waits with a CancelledError, so try/finally blocks still run
+
+// use this in async functions, eg. await core.wait(10);
+export function wait (timeOrCondition, owner, conditionCheckPeriod = 0) {
+	const fiber = new Fiber(owner);
+	if (owner) {
+		adopt(owner, fiber);
+	}
+	return fiber.wait(timeOrCondition, conditionCheckPeriod).finally(() => {
+		// the wait is over, so release the fiber from its owner (and any AbortSignal listener)
+		fiber.cancel();
+	});
 }
 
 // use this in async fnuction, eg. await core.forever();
@@ -296,23 +1426,120 @@ export function forever () {
 
 export function schedule (asyncFiberFunction, owner) {
 	const fiber = new Fiber(owner);
-	asyncFiberFunction(fiber);
+	if (owner) {
+		// disposing the owner cancels the fiber
+		adopt(owner, fiber);
+	}
+	fiber.run(asyncFiberFunction);
 	return fiber;
 }
 
+// the rejection given to pending waits when their fiber is cancelled
+export class CancelledError extends Error {
+	constructor (message = 'fiber cancelled') {
+		super(message);
+		this.name = 'CancelledError';
+	}
+}
+
+// includes the AbortError of an aborted AbortSignal
+export function isCancellation (error) {
+	return (error instanceof CancelledError) || (error?.name == 'AbortError');
+}
+
 class Fiber {
-	constructor (owner) {
+	constructor (owner, parent = null) {
 		this.owner = owner;
-		this.delayedAction = null;
+		this.parent = parent;
+		this.children = new Set();
+		this.isCancelled = false;
+
+		// the completion of the fiber function, once running
+		this.promise = null;
+
+		// cancel functions for each wait currently pending on this fiber
+		this.pending = new Set();
+
+		// listener for an AbortSignal owner, removed once the fiber settles or is cancelled
+		this.onAbort = null;
+
+		if (parent) {
+			parent.children.add(this);
+		}
+
+		// a fiber owned by an AbortSignal is cancelled when it aborts
+		if (owner instanceof AbortSignal) {
+			linkAbortSignal(owner);
+			if (owner.aborted) {
+				this.cancel();
+			} else {
+				this.onAbort = () => { this.cancel(); };
+				owner.addEventListener('abort', this.onAbort, { once: true });
+			}
+		}
 	}
-	
+
+	run (asyncFiberFunction) {
+		trackedFibers?.add(this);
+		let resolve = null;
+		let reject = null;
+		this.promise = new Promise((resolvePromise, rejectPromise) => {
+			resolve = resolvePromise;
+			reject = rejectPromise;
+		});
+
+		let result = null;
+		try {
+			result = Promise.resolve(asyncFiberFunction(this));
+		} catch (error) {
+			result = Promise.reject(error);
+		}
+
+		const complete = () => {
+			trackedFibers?.delete(this);
+			this.parent?.children.delete(this);
+			this.#removeAbortListener();
+			disown(this);
+		};
+		result.then((value) => {
+			complete();
+			resolve(value);
+		}, (error) => {
+			complete();
+			// cancellation is an expected way for a fiber to end, so is not left as an unhandled rejection
+			// anything else is only unhandled if nothing awaits this fiber
+			if (isCancellation(error)) {
+				this.promise.catch(() => {});
+			}
+			reject(error);
+		});
+		return this.promise;
+	}
+
+	// wait for a signal, or iterate signals, rejecting when this fiber is cancelled
+	waitForSignal (object, ...args) {
+		return waitForSignal(object, ...args, this);
+	}
+
+	signals (object, ...args) {
+		return signals(object, ...args, this);
+	}
+
+	// run another async function as a child of this fiber, cancelled along with it
+	spawn (asyncFiberFunction) {
+		const child = new Fiber(this.owner, this);
+		child.run(asyncFiberFunction);
+		return child;
+	}
+
 	wait (timeOrCondition = null, conditionCheckPeriod = 0) {
-		return new Promise((resume) => {
+		return this.#pendingPromise((resume, cancelWith) => {
+			let delayedAction = null;
 			if (timeOrCondition == null) {
 				// wait one frame by default
-				this.delayedAction = onNextFrame(resume, this.owner);
+				delayedAction = onNextFrame(resume, this.owner);
 			} else if (typeof timeOrCondition == 'function') {
-				this.delayedAction = timer(conditionCheckPeriod, () => {
+				delayedAction = timer(conditionCheckPeriod, () => {
 					if (isObjectDisposed(this)) {
 						return;
 					}
@@ -320,22 +1547,118 @@ class Fiber {
 					if (result === false || result === undefined) {
 						// false or undefined will continue to wait, return new Boolean(false) if needed
 					} else {
-						this.delayedAction.cancel();
+						delayedAction.cancel();
 						resume(result);
 					}
-				}, this.owner);			
+				}, this.owner);
 			} else {
-				this.delayedAction = delay(timeOrCondition, resume, this.owner);
+				delayedAction = delay(timeOrCondition, resume, this.owner);
 			}
-		});	
+			cancelWith(() => { delayedAction.cancel(); });
+		});
 	}
-	
+
+	// resolve with the first entry to complete, cancelling the rest
+	// entries can be async functions (run as child fibers), fibers or promises
+	race (entries) {
+		const children = [];
+		const promises = entries.map((entry) => this.#entryPromise(entry, children));
+		return this.#pendingPromise((resume, cancelWith, reject) => {
+			cancelWith(() => { this.#cancelAll(children); });
+			for (const promise of promises) {
+				promise.then((result) => {
+					this.#cancelAll(children);
+					resume(result);
+				}, (error) => {
+					this.#cancelAll(children);
+					reject(error);
+				});
+			}
+		});
+	}
+
+	// resolve with all results once every entry completes, if any entry fails cancel the rest
+	all (entries) {
+		const children = [];
+		const promises = entries.map((entry) => this.#entryPromise(entry, children));
+		return this.#pendingPromise((resume, cancelWith, reject) => {
+			cancelWith(() => { this.#cancelAll(children); });
+			Promise.all(promises).then(resume, (error) => {
+				this.#cancelAll(children);
+				reject(error);
+			});
+		});
+	}
+
 	cancel () {
-		if (this.delayedAction) {
-			this.delayedAction.cancel();
-			this.delayedAction = null;
+		if (this.isCancelled) {
+			return;
 		}
+		this.isCancelled = true;
+		this.#removeAbortListener();
 		markObjectAsDisposed(this);
+
+		// cancel down the tree first, then settle anything this fiber is waiting on
+		this.#cancelAll([...this.children]);
+		const pending = [...this.pending];
+		this.pending.clear();
+		for (const cancelPending of pending) {
+			cancelPending();
+		}
+		this.parent?.children.delete(this);
+	}
+
+	#removeAbortListener () {
+		if (this.onAbort) {
+			this.owner.removeEventListener('abort', this.onAbort);
+			this.onAbort = null;
+		}
+	}
+
+	#cancelAll (fibers) {
+		for (const fiber of fibers) {
+			fiber.cancel();
+		}
+	}
+
+	#entryPromise (entry, children) {
+		if (entry instanceof Fiber) {
+			// fibers passed in are cancelled along with the rest of the entries
+			children.push(entry);
+			return entry.promise;
+		} else if (typeof entry == 'function') {
+			const child = this.spawn(entry);
+			children.push(child);
+			return child.promise;
+		}
+		return Promise.resolve(entry);
+	}
+
+	// a promise that is rejected with a CancelledError if this fiber is cancelled while it is pending
+	#pendingPromise (executor) {
+		return new Promise((resolve, reject) => {
+			if (this.isCancelled) {
+				reject(new CancelledError());
+				return;
+			}
+
+			let onCancel = null;
+			const cancelPending = () => {
+				onCancel?.();
+				reject(new CancelledError());
+			};
+			this.pending.add(cancelPending);
+
+			executor((result) => {
+				this.pending.delete(cancelPending);
+				resolve(result);
+			}, (action) => {
+				onCancel = action;
+			}, (error) => {
+				this.pending.delete(cancelPending);
+				reject(error);
+			});
+		});
 	}
 }
 
@@ -343,11 +1666,38 @@ class Fiber {
 // -- markObjectAsDisposed / isObjectDisposed ---------------------------------------
 // a globally available system to mark any object as disposed
 // disposed objects are ignored in timers and signals
+// objects can adopt other objects or callbacks, which are disposed along with them
 
 const disposeSet = new WeakSet();
+const disposalChildren = new WeakMap();		// parent => adopted children, in order of adoption
+const disposalParents = new WeakMap();		// child => parent
 
 export function markObjectAsDisposed (obj) {
+	if (disposeSet.has(obj)) {
+		return;
+	}
 	disposeSet.add(obj);
+	disown(obj);
+
+	// abort any signal handed out for this object
+	const controller = abortControllerMap.get(obj);
+	if (controller) {
+		abortControllerMap.delete(obj);
+		controller.abort(new CancelledError('owner disposed'));
+	}
+
+	// release timers and watchers that would now be ignored
+	cancel(obj);
+	removeWatcher(obj);
+
+	// then dispose adopted children, most recently adopted first
+	const children = disposalChildren.get(obj);
+	if (children) {
+		disposalChildren.delete(obj);
+		for (const child of [...children].reverse()) {
+			disposeChild(child, obj);
+		}
+	}
 }
 
 export function isObjectDisposed (obj) {
@@ -356,3 +1706,270 @@ export function isObjectDisposed (obj) {
 	}
 	return disposeSet.has(obj);
 }
+
+// dispose the child whenever the parent is disposed, the child can be
+//   a function, called as a dispose callback
+//   an object with a dispose or cancel method, eg. a fiber, tween or render context
+//   any other object, which is marked as disposed
+export function adopt (parent, child) {
+	if (isObjectDisposed(parent)) {
+		disposeChild(child, parent);
+		return child;
+	}
+
+	// each child has only one parent
+	disown(child);
+	if (!disposalChildren.has(parent)) {
+		disposalChildren.set(parent, new Set());
+	}
+	disposalChildren.get(parent).add(child);
+	disposalParents.set(child, parent);
+	return child;
+}
+
+// remove a child from its parent, without disposing it
+export function disown (child) {
+	const parent = disposalParents.get(child);
+	if (parent) {
+		disposalParents.delete(child);
+		disposalChildren.get(parent)?.delete(child);
+	}
+}
+
+export function onDispose (owner, callback) {
+	return adopt(owner, callback);
+}
+
+function disposeChild (child, parent) {
+	try {
+		if (typeof child == 'function') {
+			child();
+		} else if (typeof child.dispose == 'function') {
+			child.dispose();
+		} else if (typeof child.cancel == 'function') {
+			child.cancel();
+		}
+	} catch (error) {
+		reportError(error, { type: 'dispose', owner: parent });
+	}
+	if (typeof child == 'object') {
+		markObjectAsDisposed(child);
+	}
+}
+
+// -- abort signals ---------------------------------------
+// an AbortSignal can be used anywhere an owner is accepted, aborting it cancels timers, watchers and fibers for that owner
+// and any owner can provide an AbortSignal that aborts when that owner is disposed, eg. to cancel a fetch
+
+const abortControllerMap = new WeakMap();
+const linkedAbortSignals = new WeakSet();
+
+export function abortSignalFor (owner) {
+	if (isObjectDisposed(owner)) {
+		return AbortSignal.abort(new CancelledError('owner disposed'));
+	}
+	if (!abortControllerMap.has(owner)) {
+		abortControllerMap.set(owner, new AbortController());
+	}
+	return abortControllerMap.get(owner).signal;
+}
+
+// treat an AbortSignal used as an owner as disposed once it aborts
+function linkAbortSignal (owner) {
+	if (!(owner instanceof AbortSignal) || linkedAbortSignals.has(owner)) {
+		return;
+	}
+	linkedAbortSignals.add(owner);
+
+	const onAbort = () => {
+		markObjectAsDisposed(owner);
+		cancel(owner);
+		removeWatcher(owner);
+	};
+	if (owner.aborted) {
+		onAbort();
+	} else {
+		owner.addEventListener('abort', onAbort, { once: true });
+	}
+}
+
+// -- debug introspection ---------------------------------------
+// list what is currently pending, eg. to assert nothing is left behind after disposing a view in a test
+// pending delayed actions can always be listed, as they are held by their clocks
+// watchers and fibers are only tracked while debug tracking is enabled, so enable it before creating them
+// tracking holds weak references only, so it does not interfere with garbage collection
+
+let trackedWatchers = null;
+let trackedFibers = null;
+
+export function setDebugTracking (enabled = true) {
+	trackedWatchers = enabled ? new WeakRegistry() : null;
+	trackedFibers = enabled ? new WeakRegistry() : null;
+}
+
+// every delayed action queued on the main clock and its child clocks, in the order they are due
+export function getPendingActions () {
+	const pending = [];
+	const collect = (clock) => {
+		for (const delayed of [...clock.queue.heap, ...clock.passiveActions]) {
+			pending.push({
+				action: delayed,
+				clock: clock,
+				owner: delayed.owner,
+				phase: delayed.phase,
+				repeat: delayed.repeat,
+				time: delayed.time,
+				// seconds remaining on the action's own clock
+				remaining: Math.max(0, (delayed.time - clock.now()) / 1000),
+				requestsFrames: !delayed.doesNotRequestFrames,
+			});
+		}
+		for (const child of clock.children) {
+			collect(child);
+		}
+	};
+	collect(mainClock);
+	return pending.sort((a, b) => (a.remaining - b.remaining) || (a.phase - b.phase));
+}
+
+// the number of tracked watchers, and Maps of counts keyed by watched object and by owner
+export function getWatcherCounts () {
+	const byObject = new Map();
+	const byOwner = new Map();
+	let total = 0;
+	for (const watcher of trackedWatchers?.values() ?? []) {
+		total++;
+		byObject.set(watcher.object, (byObject.get(watcher.object) ?? 0) + 1);
+		if (watcher.owner) {
+			byOwner.set(watcher.owner, (byOwner.get(watcher.owner) ?? 0) + 1);
+		}
+	}
+	return { total, byObject, byOwner };
+}
+
+// tracked fibers whose async function has not yet completed, including cancelled fibers still unwinding
+export function getActiveFibers () {
+	return [...(trackedFibers?.values() ?? [])];
+}
+
+// a set of weakly held objects that can still be listed
+class WeakRegistry {
+	constructor () {
+		this.refs = new Set();
+		this.refMap = new WeakMap();
+	}
+
+	add (object) {
+		const ref = new WeakRef(object);
+		this.refs.add(ref);
+		this.refMap.set(object, ref);
+	}
+
+	delete (object) {
+		const ref = this.refMap.get(object);
+		if (ref) {
+			this.refs.delete(ref);
+			this.refMap.delete(object);
+		}
+	}
+
+	*values () {
+		for (const ref of [...this.refs]) {
+			const object = ref.deref();
+			if (object) {
+				yield object;
+			} else {
+				this.refs.delete(ref);
+			}
+		}
+	}
+}
+
+// -- recording and replay ---------------------------------------
+// record the signals and timer dispatches of a session, to reproduce bugs that depend on their sequence
+// each event records the time in seconds since recording began, and a tag identifying the object involved
+// objects can be given a stable tag with tagObject, otherwise they are tagged by constructor name and order seen
+//   const recording = startRecording();
+//   ...
+//   recording.stop();
+// replay re-drives the recorded signals of the given tagged objects against a fresh model using manual time
+// everything else is expected to be reproduced by the fresh model, and can be compared in the returned recording
+//   useManualTime();
+//   const replayed = replay(recording, { input: freshInput });
+
+const objectTags = new WeakMap();
+const activeRecordings = new Set();
+let nextObjectTag = 1;
+
+export function tagObject (object, tag) {
+	objectTags.set(object, tag);
+	return object;
+}
+
+export function startRecording () {
+	return new Recording();
+}
+
+export function replay (recording, objects) {
+	requireManualTimeSource();
+	const inputs = new Map(Object.entries(objects));
+	for (const [tag, object] of inputs) {
+		tagObject(object, tag);
+	}
+
+	const replayed = startRecording();
+	let elapsed = 0;
+	for (const event of recording.events) {
+		if (event.type == 'signal' && inputs.has(event.tag)) {
+			advanceTime(event.time - elapsed);
+			elapsed = event.time;
+			signal(inputs.get(event.tag), ...event.args);
+		}
+	}
+	advanceTime(Math.max(0, recording.duration - elapsed));
+	return replayed.stop();
+}
+
+function objectTag (object) {
+	if (object == null || (typeof object != 'object' && typeof object != 'function')) {
+		return null;
+	}
+	if (!objectTags.has(object)) {
+		objectTags.set(object, (object.constructor?.name || 'Object') + '#' + nextObjectTag++);
+	}
+	return objectTags.get(object);
+}
+
+function recordEvent (type, object, details) {
+	if (activeRecordings.size == 0) {
+		return;
+	}
+	const tag = objectTag(object);
+	for (const recording of activeRecordings) {
+		recording.events.push({ type: type, time: recording.elapsed(), tag: tag, ...details });
+	}
+}
+
+class Recording {
+	constructor () {
+		this.events = [];
+		this.startTime = mainClock.now();
+		this.duration = 0;
+		activeRecordings.add(this);
+	}
+
+	get isRecording () {
+		return activeRecordings.has(this);
+	}
+
+	elapsed () {
+		return (mainClock.now() - this.startTime) / 1000;
+	}
+
+	stop () {
+		if (activeRecordings.delete(this)) {
+			this.duration = this.elapsed();
+		}
+		return this;
+	}
+}
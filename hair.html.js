@@ -6,10 +6,10 @@
 //  * signals and timers, watching for updated objects and requesting animation frames when required
 // -----------------------------------------------------------------------------------
 // Top level export public functions to define and render views
-// 	 render
+// 	 render, renderToString, hydrate
 //
 //   Functions to compose component specifications for render
-//     element, compose, list
+//     element, elementNS, compose, portal, boundary, list
 //	   onAttach, onRemove, onUpdate, onContext
 //	   onBroadcast, onDelay, onTimer
 //
@@ -29,6 +29,10 @@
 //   RenderAttachments
 //	   objects created during render or update that attach functionality to a rendered DOM view
 //
+//   Namespaces
+//     svg and math elements, and elements within them, are created with createElementNS
+//     and have their properties applied as attributes
+//
 //   Property Handlers
 //     eg. setPropertyHandler, applyClassList
 //	   specialised handling of matching property names when applied to DOM elements
@@ -73,6 +77,32 @@ export function createElements (parent, state, component, initialContextValues =
 	return elements;
 }
 
+// render into existing DOM content previously rendered from the same component, eg. with renderToString
+// existing elements and text are adopted rather than created, then listeners and onAttach callbacks are attached
+export function hydrate (parent, state, component, initialContextValues = null) {
+	const context = new RenderContext(parent, component, initialContextValues);
+	const cursor = new HydrationCursor(parent);
+	context.update(state, cursor);
+	cursor.removeUnclaimed();
+	return context;
+}
+
+// hydration mismatches are warned on the console by default, disable for production
+let hydrationWarnings = true;
+export function setHydrationWarnings (enabled) {
+	hydrationWarnings = enabled;
+}
+
+// render to an HTML string rather than the DOM, eg. to pre-render pages or snapshot views in tests
+export function renderToString (state, component, initialContextValues = null) {
+	const context = new RenderContext(null, component, initialContextValues);
+	try {
+		return contextToString(context, state);
+	} finally {
+		context.dispose();
+	}
+}
+
 // -------------------------------------------------------------------------------
 // hair.component-specifications, describe your components for rendering
 // -------------------------------------------------------------------------------
@@ -109,10 +139,32 @@ export function element (type, ...args) {
 	return new ElementSpecification(type, properties, children);
 }
 
+// construct an element spec in a specific namespace, eg. elementNS(SVG_NAMESPACE, 'circle', { r: 5 })
+// without an explicit namespace, svg and math elements and their children are created in the correct namespace
+export function elementNS (namespace, type, ...args) {
+	const specification = element(type, ...args);
+	specification.namespace = namespace;
+	return specification;
+}
+
 // mark a point within the render tree that is composed with its own render context or list
 // set a reuseKey object or string, to use that to make sure the same composed context is reused for the same purpose
-export function compose (state, component, reuseKey) {
-	return new ComposeSpecification(state, component, reuseKey);
+// set channels to a signal channel name or array of names, to only update when the state signals on those channels
+export function compose (state, component, reuseKey, channels) {
+	return new ComposeSpecification(state, component, reuseKey, channels);
+}
+
+// render a component into a different DOM parent, given as an element or the name of a context value
+// the portal remains part of this component, sharing its state, context values, broadcasts and disposal
+export function portal (target, component, reuseKey) {
+	return new PortalSpecification(target, component, reuseKey);
+}
+
+// render a component with the current state in its own sub context, catching errors while it renders
+// if rendering fails the error is reported and the fallback is rendered instead (the error is available as context.error)
+// the component is tried again on the next update
+export function boundary (component, fallback, reuseKey) {
+	return new BoundarySpecification(component, fallback, reuseKey);
 }
 
 // add a DOM event listener as a child of instantiated elements
@@ -213,7 +265,12 @@ export function onContext (configurator, ...reuseKeys) {
 }
 
 // as a convenience provide built in element spec generators for common elements
-export function elementFactory (type) {
+export function elementFactory (type, namespace = null) {
+	if (namespace) {
+		return function (...args) {
+			return elementNS(namespace, type, ...args);
+		}
+	}
 	return function (...args) {
 		return element(type, ...args);
 	}
@@ -234,16 +291,43 @@ class ElementSpecification extends ComponentSpecification {
 		this.type = type;
 		this.properties = properties;
 		this.children = children;
+		this.namespace = null;
 	}
 }
 
 // a data object that specifies a sub-render (object or list) to be composed at a point in the render tree
 class ComposeSpecification extends ComponentSpecification {
-	constructor (state, component, reuseKey) {
+	constructor (state, component, reuseKey, channels) {
 		super();
 		this.state = state;
 		this.component = component;
 		this.reuseKey = reuseKey ?? this.state;
+		this.channels = channels ?? null;
+	}
+}
+
+// channels are given as a name or array of names, which may be a new array on each render
+function sameChannels (a, b) {
+	return [a].flat().join(',') == [b].flat().join(',');
+}
+
+// a data object that specifies a component rendered in its own sub context, with a fallback if rendering fails
+class BoundarySpecification extends ComponentSpecification {
+	constructor (component, fallback, reuseKey) {
+		super();
+		this.component = component;
+		this.fallback = fallback;
+		this.reuseKey = reuseKey;
+	}
+}
+
+// a data object that specifies a component rendered with the same state into another DOM parent
+class PortalSpecification extends ComponentSpecification {
+	constructor (target, component, reuseKey) {
+		super();
+		this.target = target;
+		this.component = component;
+		this.reuseKey = reuseKey;
 	}
 }
 
@@ -287,6 +371,17 @@ class RenderContext {
 		// consolidate updates
 		this.updateIsRequested = false;
 
+		// signal channels of the state that trigger an update, or null to update on any signal
+		this.signalChannels = null;
+
+		// the state and component of the most recent update
+		this.renderedState = null;
+		this.renderedComponent = null;
+
+		// a boundary context renders this fallback component if rendering fails, along with the error
+		this.fallback = null;
+		this.error = null;
+
 		// context reference values, ie. app and library integrations (rather than model data)
 		this.contextValues = new Map();
 		if (initialContextValues) {
@@ -301,18 +396,29 @@ class RenderContext {
 		this.component = component;
 	}
 
-	// derive a child context
+	// derive a child context, disposed along with this context
 	derive (parentDOMElement, component) {
 		const child = new RenderContext(parentDOMElement, component);
 		child.parentContext = this;
+		core.adopt(this, child);
 		return child;
 	}
 
+	// dispose an object, fiber, tween or callback along with this context
+	adopt (disposable) {
+		return core.adopt(this, disposable);
+	}
+
 	// set a value or reference at this level of the context
 	set (name, value) {
 		this.contextValues.set(name, value);
 	}
 
+	// an AbortSignal that aborts when this context is disposed
+	get abortSignal () {
+		return core.abortSignalFor(this);
+	}
+
 	// get a value stored in this or any parent context
 	get (name, defaultValue = null) {
 		if (this.contextValues.has(name)) {
@@ -346,28 +452,61 @@ class RenderContext {
 		// when re-rendering we need to track where rendering of this componen
 		// may already occur in the node tree
 		for (const attachment of this.attachments) {
-			if ((attachment instanceof ElementAttachment)) {
-				if (!parentRenderInsertCursor.has(attachment.element.parentElement)) {
-					parentRenderInsertCursor.set(attachment.element.parentElement, attachment.element);
-				}
+			const node = (attachment instanceof ElementAttachment) ? attachment.element : (attachment instanceof TextAttachment) ? attachment.textNode : null;
+			if (node && !parentRenderInsertCursor.has(node.parentNode)) {
+				parentRenderInsertCursor.set(node.parentNode, node);
 			}
 		}
 
 		// unwatch signals/updates
 		core.removeWatcher(this);
 		this.updateIsRequested = false;
+		this.renderedState = state;
+		this.renderedComponent = this.component;
 
 		// begin middle and end of render
-		const renderPhase = new RenderPhase(this, parentRenderInsertCursor);
-		this.#apply(this.parentDOMElement, state, this.component, renderPhase);
-		this.commit(renderPhase);
+		// if the render fails anything it created is removed, leaving the prior render in place
+		// a boundary context renders its fallback instead, and tries again on the next update
+		const priorCursor = (this.fallback != null) ? new Map(parentRenderInsertCursor) : null;
+		let renderPhase = new RenderPhase(this, parentRenderInsertCursor);
+		try {
+			this.#apply(this.parentDOMElement, state, this.component, renderPhase);
+			this.commit(renderPhase);
+			this.error = null;
+
+		} catch (error) {
+			if (!renderPhase.isCommitted) {
+				renderPhase.abandon();
+			}
+			if (this.fallback == null) {
+				throw error;
+			}
+			core.reportError(error, { type: 'render', owner: this });
+			this.error = error;
 
-		// allow signals to trigger an update
-		if (typeof state == 'object') {
-			core.watch(state, () => {
-				this.updateIsRequested = state;
-				core.onNextFrame(() => { this.consolidatedUpdateFromSignals(); }, this);
-			}, this);
+			parentRenderInsertCursor.clear();
+			for (const [parent, cursor] of priorCursor) {
+				parentRenderInsertCursor.set(parent, cursor);
+			}
+			renderPhase = new RenderPhase(this, parentRenderInsertCursor);
+			this.#apply(this.parentDOMElement, state, this.fallback, renderPhase);
+			this.commit(renderPhase);
+
+		} finally {
+			// allow signals to trigger an update, including after a failed render
+			if (typeof state == 'object') {
+				const requestUpdate = () => {
+					this.updateIsRequested = state;
+					core.onNextFrame(() => { this.consolidatedUpdateFromSignals(); }, this);
+				};
+				if (this.signalChannels == null) {
+					core.watch(state, requestUpdate, this);
+				} else {
+					for (const channel of [this.signalChannels].flat()) {
+						core.watch(state, channel, requestUpdate, this);
+					}
+				}
+			}
 		}
 
 		return renderPhase;
@@ -375,7 +514,11 @@ class RenderContext {
 
 	consolidatedUpdateFromSignals () {
 		if (this.updateIsRequested) {
-			this.update(this.updateIsRequested);
+			try {
+				this.update(this.updateIsRequested);
+			} catch (error) {
+				core.reportError(error, { type: 'render', owner: this });
+			}
 		}
 	}
 
@@ -386,6 +529,8 @@ class RenderContext {
 			this.attachments[--i].remove();
 		}
 		this.attachments = [];
+		this.renderedState = null;
+		this.renderedComponent = null;
 
 		// unwatch signals/updates
 		core.removeWatcher(this);
@@ -423,28 +568,37 @@ class RenderContext {
 
 		} else if (component instanceof ElementSpecification) {
 			// make the new element
-			const element = renderPhase.findOrCreateElement(component.type, parent, state, component.properties);
-
-			// apply the properties of this element
-			if (component.properties) {
-				for (const [key, value] of Object.entries(component.properties)) {
-					// check for special purpose property handlers
-					const handler = propertyHandlers[key];
-					if (handler) {
-						handler(this, element, key, value);
-					} else {
-						// default handling
-						element[key] = value;
-					}
-				}
-			}
+			const element = renderPhase.findOrCreateElement(component.type, parent, state, component.properties, component.namespace);
+
+			// apply the properties of this element, and reset any no longer given
+			applyProperties(this, element, component.properties);
 			// add the children of this element
 			this.#apply(element, state, component.children, renderPhase);
 
 		} else if (component instanceof ComposeSpecification) {
 			// compose either a list or sub component
 			const subContext = renderPhase.findOrCreateSubContext(this, parent, component.component, component.reuseKey);
-			subContext.update(component.state, renderPhase.parentRenderInsertCursor);
+			if (component.channels != null && subContext.renderedState === component.state && subContext.renderedComponent === component.component && sameChannels(subContext.signalChannels, component.channels)) {
+				// a view limited to channels of the same state and component only updates on signals to those channels, not along with this view
+				renderPhase.keepSubContext(subContext);
+			} else {
+				subContext.signalChannels = component.channels;
+				subContext.update(component.state, renderPhase.parentRenderInsertCursor);
+			}
+
+		} else if (component instanceof BoundarySpecification) {
+			const subContext = renderPhase.findOrCreateSubContext(this, parent, component.component, component.reuseKey ?? state);
+			subContext.fallback = component.fallback;
+			subContext.update(state, renderPhase.parentRenderInsertCursor);
+
+		} else if (component instanceof PortalSpecification) {
+			// compose the same state into the target parent
+			const target = (typeof component.target == 'string') ? this.get(component.target) : component.target;
+			if (!target) {
+				throw new Error('portal target not found ' + component.target);
+			}
+			const subContext = renderPhase.findOrCreateSubContext(this, target, component.component, component.reuseKey ?? state);
+			subContext.update(state, renderPhase.parentRenderInsertCursor);
 
 		} else if (component instanceof ListenSpecification) {
 			renderPhase.findOrCreateDOMListener(this, parent, component.event, component.listener);
@@ -464,14 +618,17 @@ class RenderContext {
 	}
 
 	commit (renderPhase) {
-		// remove prior attachments
+		// remove prior attachments that were not reused
 		let i = renderPhase.priorAttachments.length;
 		while (i > 0) {
 			i--;
-			renderPhase.priorAttachments[i].remove();
+			if (!renderPhase.reusedAttachments.has(renderPhase.priorAttachments[i])) {
+				renderPhase.priorAttachments[i].remove();
+			}
 		}
 		// these are out new attachments
 		this.attachments = renderPhase.attachments;
+		renderPhase.isCommitted = true;
 		// signal attachment on new attachments
 		for (const attachment of renderPhase.newAttachments) {
 			if (attachment instanceof ContextListenerAttachment) {
@@ -500,12 +657,20 @@ class RenderPhase {
 		// take a copy of all existing sub elements and sub contexts
 		// and attempt to re-use and update them during the render pass
 		this.priorAttachments = [...context.attachments];
+		this.reusedAttachments = new Set();
+
+		// prior attachments are checked in order first, the index is only built once something has moved
+		this.priorNext = 0;
+		this.priorIndex = null;
 
 		// attachments created or in use this render
 		this.attachments = [];
 
 		// new attachments that need to be signalled on creation
 		this.newAttachments = [];
+
+		// set once the attachments of this phase have replaced those of the context
+		this.isCommitted = false;
 	}
 
 	findOrCreateSubContext (context, parent, component, keyObject) {
@@ -534,56 +699,93 @@ class RenderPhase {
 		return sub;
 	}
 
-	findOrCreateElement (type, parent, state, properties) {
-		const insertBefore = this.parentRenderInsertCursor.get(parent);
-
+	findOrCreateElement (type, parent, state, properties, namespace = null) {
 		const keys = [ type, parent, state, properties?.id, properties?.context_id ];
 		const existing = this.find(ElementAttachment, keys);
 		if (existing) {
-			if (existing.element == insertBefore || existing.element.nextSibling == insertBefore) {
-				// the element is already in the correct position
-			} else {
-				if (MONITOR_DOM_UPDATES) {
-					MOVE_COUNT++;
-				}
-				if (insertBefore == null || insertBefore.parent == parent) {
-					parent.insertBefore(existing.element, insertBefore);
-				} else {
-					parent.appendChild(existing.element);
-				}
-			}
-			this.parentRenderInsertCursor.set(parent, existing.element.nextSibling);
+			this.#moveToCursor(parent, existing.element);
 			return existing.element;
 		}
 
-		if (MONITOR_DOM_UPDATES) {
-			CREATE_COUNT++;
-		}
-		const element = document.createElement(type);
-		if (insertBefore) {
-			parent.insertBefore(element, insertBefore);
-		} else {
-			parent.appendChild(element);
+		let element = this.isHydrating ? this.parentRenderInsertCursor.claimElement(parent, type) : null;
+		if (!element) {
+			if (MONITOR_DOM_UPDATES) {
+				CREATE_COUNT++;
+			}
+			namespace = namespace ?? inheritedNamespace(type, parent);
+			element = namespace ? document.createElementNS(namespace, type) : document.createElement(type);
+			this.#insertAtCursor(parent, element);
 		}
-		this.parentRenderInsertCursor.set(parent, element.nextSibling);
 		this.addAttachment(new ElementAttachment(element), keys);
 		return element;
 	}
 
+	// text nodes are matched by their position amongst the text within the same parent
+	// and take their place in the insert order along with elements
 	findCreateOrUpdateText (parent, text) {
 		const keys = [ parent ];
 		const existing = this.find(TextAttachment, keys);
 		if (existing) {
-			existing.textNode.textContent = text;
+			if (existing.textNode.textContent != text) {
+				existing.textNode.textContent = text;
+			}
+			this.#moveToCursor(parent, existing.textNode);
 			return existing;
 		}
 
-		const textNode = document.createTextNode(text);
-		parent.appendChild(textNode);
+		let textNode = this.isHydrating ? this.parentRenderInsertCursor.claimText(parent, text) : null;
+		if (!textNode) {
+			textNode = document.createTextNode(text);
+			this.#insertAtCursor(parent, textNode);
+		}
 		this.addAttachment(new TextAttachment(textNode), keys);
 		return textNode;
 	}
 
+	// keep the nodes of a sub context that is not updated in this render in place, moving the insert cursor past them
+	keepSubContext (subContext) {
+		for (const attachment of subContext.attachments) {
+			if (attachment instanceof SubContextAttachment) {
+				this.keepSubContext(attachment.context);
+			} else {
+				const node = (attachment instanceof ElementAttachment) ? attachment.element : (attachment instanceof TextAttachment) ? attachment.textNode : null;
+				// only parents this render is also placing nodes into need their cursor moved
+				if (node && this.parentRenderInsertCursor.has(node.parentNode)) {
+					this.#moveToCursor(node.parentNode, node);
+				}
+			}
+		}
+	}
+
+	// adopting existing DOM nodes rather than creating them
+	get isHydrating () {
+		return this.parentRenderInsertCursor instanceof HydrationCursor;
+	}
+
+	// move an existing node to the insert cursor of its parent, if it is not already there
+	#moveToCursor (parent, node) {
+		const insertBefore = this.parentRenderInsertCursor.get(parent);
+		if (node == insertBefore || node.nextSibling == insertBefore) {
+			// the node is already in the correct position
+			this.parentRenderInsertCursor.set(parent, node.nextSibling);
+			return;
+		}
+		if (MONITOR_DOM_UPDATES) {
+			MOVE_COUNT++;
+		}
+		this.#insertAtCursor(parent, node);
+	}
+
+	#insertAtCursor (parent, node) {
+		const insertBefore = this.parentRenderInsertCursor.get(parent);
+		if (insertBefore && insertBefore.parentNode == parent) {
+			parent.insertBefore(node, insertBefore);
+		} else {
+			parent.appendChild(node);
+		}
+		this.parentRenderInsertCursor.set(parent, node.nextSibling);
+	}
+
 	findOrCreateDOMListener (context, parent, event, listener) {
 		const keys = [ context, parent, event ];
 		const existing = this.find(DOMListenerAttachment, keys);
@@ -607,26 +809,40 @@ class RenderPhase {
 		return this.addAttachment(contextListener, keys);
 	}
 
+	// reuse the first prior attachment of this type with the same keys, in the order they were previously rendered
 	find (attachmentType, keys) {
-		// NOTE: this linear search might be very inefficient on large components or long lists
-		// could replace with some kind of multi-key dictionary if needed
-		let i = 0;
-		search: while (i < this.priorAttachments.length) {
-			const attachment = this.priorAttachments[i];
-			if (attachment instanceof attachmentType) {
-				for (let j = 0; j < Math.max(attachment.keys.length, keys.length); j++) {
-					if (keys[j] != attachment.keys[j]) {
-						i++;
-						continue search;
-					}
-				}
-				this.priorAttachments.splice(i, 1);
-				this.attachments.push(attachment);
-				return attachment;
+		let attachment = null;
+		while (this.priorNext < this.priorAttachments.length && this.reusedAttachments.has(this.priorAttachments[this.priorNext])) {
+			this.priorNext++;
+		}
+		const next = this.priorAttachments[this.priorNext];
+		if (next && next.constructor == attachmentType && sameKeys(next.keys, keys)) {
+			attachment = next;
+			this.priorNext++;
+		} else {
+			this.priorIndex ??= new AttachmentIndex(this.priorAttachments);
+			attachment = this.priorIndex.take(attachmentType, keys, this.reusedAttachments);
+		}
+		if (attachment) {
+			this.reusedAttachments.add(attachment);
+			this.attachments.push(attachment);
+		}
+		return attachment;
+	}
+
+	// remove anything created by a render that failed before it was committed
+	abandon () {
+		let i = this.newAttachments.length;
+		while (i > 0) {
+			const attachment = this.newAttachments[--i];
+			if (attachment instanceof ContextListenerAttachment) {
+				// never attached, so not signalled as removed
+				attachment.dispose();
+			} else {
+				attachment.remove();
 			}
-			i++;
 		}
-		return null;
+		this.newAttachments = [];
 	}
 
 	addAttachment (attachment, keys) {
@@ -638,6 +854,148 @@ class RenderPhase {
 
 }
 
+// keys match as they would in the index, by identity with absent keys matching each other and trailing absent keys ignored
+function sameKeys (a, b) {
+	for (let i = 0; i < Math.max(a.length, b.length); i++) {
+		const x = a[i] ?? undefined;
+		const y = b[i] ?? undefined;
+		// NaN matches itself, as a Map key
+		if (x !== y && !(x !== x && y !== y)) {
+			return false;
+		}
+	}
+	return true;
+}
+
+// a multi-key dictionary of attachments, a tree of Maps keyed by attachment type and then each key in turn
+// attachments with the same type and keys are queued in their original order
+// absent keys (null or undefined) match each other, so elements without an id or distinct state are reused optimistically
+class AttachmentIndex {
+	constructor (attachments) {
+		this.root = new Map();
+		for (const attachment of attachments) {
+			this.#node(attachment.constructor, attachment.keys, true).queue.push(attachment);
+		}
+	}
+
+	// the first attachment with this type and keys, skipping any already reused
+	take (attachmentType, keys, reused) {
+		const node = this.#node(attachmentType, keys, false);
+		while (node && node.next < node.queue.length) {
+			const attachment = node.queue[node.next++];
+			if (!reused.has(attachment)) {
+				return attachment;
+			}
+		}
+		return null;
+	}
+
+	#node (attachmentType, keys, create) {
+		// trailing absent keys are the same as no key at all
+		let length = keys.length;
+		while (length > 0 && keys[length - 1] == null) {
+			length--;
+		}
+
+		let map = this.root;
+		let node = null;
+		for (let i = -1; i < length; i++) {
+			const key = (i < 0) ? attachmentType : (keys[i] ?? undefined);
+			node = map.get(key);
+			if (!node) {
+				if (!create) {
+					return null;
+				}
+				node = { children: new Map(), queue: [], next: 0 };
+				map.set(key, node);
+			}
+			map = node.children;
+		}
+		return node;
+	}
+}
+
+// the insert cursor used while hydrating, the cursor for each parent starts at its first existing child
+// and existing nodes at the cursor are claimed in order when they match what is being rendered
+// content within elements that had to be created is created as usual
+class HydrationCursor extends Map {
+	constructor (root) {
+		super();
+		this.root = root;
+		this.claimedElements = new Set();
+	}
+
+	get (parent) {
+		return super.has(parent) ? super.get(parent) : parent.firstChild;
+	}
+
+	claimElement (parent, type) {
+		if (!this.#isHydrating(parent)) {
+			return null;
+		}
+		const node = this.#next(parent, true);
+		if (node?.nodeType == Node.ELEMENT_NODE && (node.localName == type || node.localName == type.toLowerCase())) {
+			this.set(parent, node.nextSibling);
+			this.claimedElements.add(node);
+			hydratedElements.add(node);
+			return node;
+		}
+		reportHydrationMismatch('expected <' + type + '>', parent, node);
+		return null;
+	}
+
+	claimText (parent, text) {
+		if (!this.#isHydrating(parent)) {
+			return null;
+		}
+		const node = this.#next(parent, false);
+		if (node?.nodeType == Node.TEXT_NODE) {
+			if (node.textContent.length > text.length && node.textContent.startsWith(text)) {
+				// adjacent text is merged into one node when markup is parsed
+				node.splitText(text.length);
+			} else if (node.textContent != text) {
+				reportHydrationMismatch('expected text ' + JSON.stringify(text), parent, node);
+				node.textContent = text;
+			}
+			this.set(parent, node.nextSibling);
+			return node;
+		}
+		reportHydrationMismatch('expected text ' + JSON.stringify(text), parent, node);
+		return null;
+	}
+
+	// remove anything left over that was not rendered, after the cursor in the root and within claimed elements
+	removeUnclaimed () {
+		for (const element of [this.root, ...this.claimedElements]) {
+			let node = this.#next(element, true);
+			while (node) {
+				const next = node.nextSibling;
+				reportHydrationMismatch('unexpected node', element, node);
+				node.remove();
+				node = this.#next(element, true, next);
+			}
+		}
+	}
+
+	#isHydrating (parent) {
+		return parent == this.root || this.claimedElements.has(parent);
+	}
+
+	// the next existing node at the cursor, skipping comments, and whitespace between elements
+	#next (parent, skipWhitespace, node = this.get(parent)) {
+		while (node && (node.nodeType == Node.COMMENT_NODE || (skipWhitespace && node.nodeType == Node.TEXT_NODE && node.textContent.trim() == ''))) {
+			node = node.nextSibling;
+		}
+		return node;
+	}
+}
+
+function reportHydrationMismatch (message, parent, node) {
+	if (hydrationWarnings) {
+		console.warn('hydration mismatch, ' + message + ', found', node ?? 'nothing', 'in', parent);
+	}
+}
+
 class RenderAttachment {
 	// be prepared to let go of your attachments
 	remove () {
@@ -713,6 +1071,17 @@ class ContextListenerAttachment extends RenderAttachment {
 		this.context = context;
 		this.element = element;
 		this.type = type;
+
+		// timers owned by this listener follow any clock set in the context tree
+		const clock = context.get('clock');
+		if (clock) {
+			core.setClock(this, clock);
+		}
+	}
+
+	// an AbortSignal that aborts when this listener is removed
+	get abortSignal () {
+		return core.abortSignalFor(this);
 	}
 
 	// set these optional listeners
@@ -721,28 +1090,12 @@ class ContextListenerAttachment extends RenderAttachment {
 	// .onRemove?.(context, element)
 	// .onBroadcast?.(event, eventData)
 
+	// disposables (functions, or objects with dispose or cancel methods) are disposed when this listener is removed
 	addDisposable (disposable) {
-		if (!this.disposables) {
-			this.disposables = [];
-		}
-		this.disposables.push(disposable);
-		return disposable;
+		return core.adopt(this, disposable);
 	}
 
 	dispose () {
-		this.clear();
-		if (this.disposables) {
-			for (const disposable of this.disposables) {
-				if (typeof disposable == 'function') {
-					disposable();
-				} else if (disposable.dispose) {
-					disposable.dispose();
-				} else {
-					throw 'cannot dispose ' + disposable;
-				}
-			}
-			this.disposables = null;
-		}
 		core.markObjectAsDisposed(this);
 	}
 
@@ -752,8 +1105,109 @@ class ContextListenerAttachment extends RenderAttachment {
 	}
 }
 
+// -- namespaces ------------------------
+// svg and math elements are created in their own namespace along with their children
+
+export const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+export const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+export const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+function inheritedNamespace (type, parent) {
+	if (type == 'svg') {
+		return SVG_NAMESPACE;
+	} else if (type == 'math') {
+		return MATHML_NAMESPACE;
+	}
+	// HTML content can be placed within an svg foreignObject
+	const parentNamespace = parent.namespaceURI;
+	if (parentNamespace == SVG_NAMESPACE && parent.localName != 'foreignObject') {
+		return SVG_NAMESPACE;
+	} else if (parentNamespace == MATHML_NAMESPACE) {
+		return MATHML_NAMESPACE;
+	}
+	return null;
+}
+
+// set an attribute, removing it for null, undefined or false
+function applyAttribute (element, key, value) {
+	if (value == null || value === false) {
+		element.removeAttribute(key);
+	} else {
+		element.setAttribute(key, (value === true) ? '' : value);
+	}
+}
+
+// -- applying properties ------------------------
+// properties applied by each render are tracked per element, and any missing on a later render are reset
+// property handlers are called with a null value, attributes are removed, and DOM properties restored to their original value
+// data-, aria- and names that are not properties of the element are applied as attributes
+
+const appliedProperties = new WeakMap();
+const initialProperties = new WeakMap();
+
+// elements adopted while hydrating already hold the server rendered values, so original values come from a new element
+const hydratedElements = new WeakSet();
+
+function applyProperties (context, element, properties) {
+	const previous = appliedProperties.get(element);
+	const applied = new Set();
+	if (properties) {
+		for (const [key, value] of Object.entries(properties)) {
+			applyProperty(context, element, key, value);
+			applied.add(key);
+		}
+	}
+	if (previous) {
+		for (const key of previous) {
+			if (!applied.has(key)) {
+				resetProperty(context, element, key);
+			}
+		}
+	}
+	appliedProperties.set(element, applied);
+}
+
+function applyProperty (context, element, key, value) {
+	// check for special purpose property handlers
+	const handler = propertyHandlers[key];
+	if (handler) {
+		handler(context, element, key, value);
+	} else if (isAttribute(element, key)) {
+		applyAttribute(element, key, value);
+	} else {
+		// default handling, keeping the original value to restore
+		let initial = initialProperties.get(element);
+		if (!initial) {
+			initial = new Map();
+			initialProperties.set(element, initial);
+		}
+		if (!initial.has(key)) {
+			const original = hydratedElements.has(element) ? document.createElementNS(element.namespaceURI, element.localName) : element;
+			initial.set(key, original[key]);
+		}
+		element[key] = value;
+	}
+}
+
+function resetProperty (context, element, key) {
+	const handler = propertyHandlers[key];
+	if (handler) {
+		handler(context, element, key, null);
+	} else if (isAttribute(element, key)) {
+		element.removeAttribute(key);
+	} else {
+		element[key] = initialProperties.get(element)?.get(key);
+	}
+}
+
+// svg and math elements are configured by attribute rather than property
+function isAttribute (element, key) {
+	return element.namespaceURI != HTML_NAMESPACE || key.startsWith('data-') || key.startsWith('aria-') || !(key in element);
+}
+
 // -- setting properties that need specific handling ------------------------
 // property names that have specific functionality to apply them
+// handlers are called with a null value when a property is no longer given
 const propertyHandlers = {
 	context_id: applyContextIDProperty,
 	class: applyClassList,
@@ -766,12 +1220,16 @@ export function setPropertyHandler(name, handler) {
 }
 
 function applyContextIDProperty(context, element, key, value) {
-	context[value] = element;
+	if (value != null) {
+		context[value] = element;
+	}
 }
 
 function applyClassList(context, element, key, value) {
 	// allow either a single class or array of class names
-	if (!Array.isArray(value)) {
+	if (value == null) {
+		value = [];
+	} else if (!Array.isArray(value)) {
 		value = [value];
 	}
 
@@ -794,7 +1252,7 @@ function applyClassList(context, element, key, value) {
 
 function applyMergedProperties(context, element, key, value) {
 	const mergeInto = element[key];
-	for (const [k, v] of Object.entries(value)) {
+	for (const [k, v] of Object.entries(value ?? {})) {
 		mergeInto[k] = v;
 	}
 }
@@ -805,11 +1263,11 @@ const previouslyApplied = new WeakMap();
 function applyUpdatedStyles(context, element, key, value) {
 	const mergeInto = element[key];
 	const previous = previouslyApplied.get(element);
-	const values = Object.entries(value);
+	const values = Object.entries(value ?? {});
 	// remove previous and apply new
 	if (previous) {
 		for (const [k, v] of previous) {
-			if (!(k in values)) {
+			if (!(k in (value ?? {}))) {
 				mergeInto[k] = null;
 			}
 		}
@@ -828,6 +1286,120 @@ function applyValueToInput(context, element, key, value) {
 	}
 }
 
+// -------------------------------------------------------------------------------
+// hair.renderToString, render component specifications to an HTML string
+// -------------------------------------------------------------------------------
+
+// component functions are called with a render context as usual, composed components with derived contexts
+// listeners, context listeners and timers are ignored, as are custom property handlers
+
+// elements that have no closing tag
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// DOM property names that differ from their attribute names
+const ATTRIBUTE_NAMES = { className: 'class', htmlFor: 'for' };
+
+function contextToString (context, state) {
+	if (!state) {
+		return '';
+	}
+	return componentToString(context, state, context.component);
+}
+
+function componentToString (context, state, component) {
+	const stateIsIterable = (state != null) && (typeof state != 'string') && (typeof state[Symbol.iterator] === 'function');
+	if (stateIsIterable) {
+		// each list item is rendered in its own context, as with a live render
+		let html = '';
+		for (const item of state) {
+			html += contextToString(context.derive(null, component), item);
+		}
+		return html;
+	}
+
+	if (typeof component === 'string') {
+		return escapeHTML(component);
+
+	} else if (Array.isArray(component)) {
+		return component.map((c) => componentToString(context, state, c)).join('');
+
+	} else if (component instanceof ElementSpecification) {
+		return elementToString(context, state, component);
+
+	} else if (component instanceof ComposeSpecification) {
+		return contextToString(context.derive(null, component.component), component.state);
+
+	} else if (component instanceof BoundarySpecification) {
+		const subContext = context.derive(null, component.component);
+		try {
+			return contextToString(subContext, state);
+		} catch (error) {
+			core.reportError(error, { type: 'render', owner: subContext });
+			subContext.error = error;
+			return componentToString(subContext, state, component.fallback);
+		}
+
+	} else if (component instanceof ListenSpecification || component instanceof ContextListenerSpecification || component instanceof PortalSpecification) {
+		// only meaningful in the DOM
+
+	} else if (typeof component === 'function') {
+		return componentToString(context, state, component(state, context));
+
+	} else if (component == null) {
+		// we can ignore
+
+	} else {
+		throw new Error('unhandled component type ' + (typeof component));
+	}
+	return '';
+}
+
+function elementToString (context, state, specification) {
+	let attributes = '';
+	let content = '';
+	for (const [key, value] of Object.entries(specification.properties ?? {})) {
+		if (key == 'context_id' || value == null || value === false) {
+			continue;
+		} else if (key == 'class') {
+			const classNames = [value].flat().filter((className) => className != null && className != '' && className != false);
+			attributes += ' class="' + escapeHTML(classNames.join(' ')) + '"';
+		} else if (key == 'style') {
+			attributes += ' style="' + escapeHTML(styleToString(value)) + '"';
+		} else if (key == 'textContent' || key == 'innerText') {
+			content = escapeHTML(String(value));
+		} else if (key == 'innerHTML') {
+			content = String(value);
+		} else if (value === true) {
+			attributes += ' ' + (ATTRIBUTE_NAMES[key] ?? key);
+		} else if (typeof value != 'function' && typeof value != 'object') {
+			attributes += ' ' + (ATTRIBUTE_NAMES[key] ?? key) + '="' + escapeHTML(String(value)) + '"';
+		}
+	}
+
+	const type = specification.type;
+	if (VOID_ELEMENTS.has(type)) {
+		return '<' + type + attributes + '>';
+	}
+	return '<' + type + attributes + '>' + content + componentToString(context, state, specification.children) + '</' + type + '>';
+}
+
+// style objects use the same camel case names as element.style, eg. backgroundColor
+function styleToString (style) {
+	if (typeof style == 'string') {
+		return style;
+	}
+	return Object.entries(style)
+		.filter(([name, value]) => value != null && value !== '')
+		.map(([name, value]) => (name.startsWith('--') ? name : name.replace(/[A-Z]/g, (upper) => '-' + upper.toLowerCase())) + ': ' + value)
+		.join('; ');
+}
+
+function escapeHTML (text) {
+	return text.replace(/[&<>"']/g, (character) => HTML_ESCAPES[character]);
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
 // -------------------------------------------------------------------------------
 // debug, monitoring for render efficiency
 // -------------------------------------------------------------------------------
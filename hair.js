@@ -12,26 +12,76 @@ import * as tween_lib from './hair.tween.js';
 export const watch = core.watch;
 export const signal = core.signal;
 export const removeWatcher = core.removeWatcher;
+export const waitForSignal = core.waitForSignal;
+export const signals = core.signals;
+export const batch = core.batch;
+export const beginBatch = core.beginBatch;
+export const endBatch = core.endBatch;
+export const observable = core.observable;
+export const isObservable = core.isObservable;
+export const computed = core.computed;
 
 export const delay = core.delay;
 export const timer = core.timer;
 export const onNextFrame = core.onNextFrame;
 export const onEveryFrame = core.onEveryFrame;
 export const onAnyFrame = core.onAnyFrame;
+export const onFixedUpdate = core.onFixedUpdate;
+export const scheduleWork = core.scheduleWork;
 export const cancel = core.cancel;
 
 export const wait = core.wait;
 export const forever = core.forever;
 export const schedule = core.schedule;
+export const CancelledError = core.CancelledError;
+export const isCancellation = core.isCancellation;
+
+export const lifecycle = core.lifecycle;
+export const suspendApp = core.suspendApp;
+export const resumeApp = core.resumeApp;
+export const setSuspendWhenHidden = core.setSuspendWhenHidden;
+export const setMaxFrameDelta = core.setMaxFrameDelta;
+
+export const createClock = core.createClock;
+export const setClock = core.setClock;
+export const getClock = core.getClock;
+export const mainClock = core.mainClock;
+
+export const useManualTime = core.useManualTime;
+export const useBrowserTime = core.useBrowserTime;
+export const advanceTime = core.advanceTime;
+export const advanceTimeAsync = core.advanceTimeAsync;
+export const stepFrame = core.stepFrame;
+
+export const onError = core.onError;
+export const reportError = core.reportError;
 
 export const markObjectAsDisposed = core.markObjectAsDisposed;
 export const isObjectDisposed = core.isObjectDisposed;
+export const adopt = core.adopt;
+export const disown = core.disown;
+export const onDispose = core.onDispose;
+export const abortSignalFor = core.abortSignalFor;
+
+export const setDebugTracking = core.setDebugTracking;
+export const getPendingActions = core.getPendingActions;
+export const getWatcherCounts = core.getWatcherCounts;
+export const getActiveFibers = core.getActiveFibers;
+export const startRecording = core.startRecording;
+export const replay = core.replay;
+export const tagObject = core.tagObject;
 
 // -- html functions ------------------------------------
 
 export const render = html.render;
+export const renderToString = html.renderToString;
+export const hydrate = html.hydrate;
+export const setHydrationWarnings = html.setHydrationWarnings;
 export const element = html.element;
+export const elementNS = html.elementNS;
 export const compose = html.compose;
+export const portal = html.portal;
+export const boundary = html.boundary;
 
 export const listen = html.listen;
 export const onPrepare = html.onPrepare;
@@ -87,6 +137,23 @@ export const tr = html.elementFactory('tr');
 export const th = html.elementFactory('th');
 export const td = html.elementFactory('td');
 
+// svg elements, as h.svg and h.svg.circle etc.
+// other elements placed within an svg or math element inherit its namespace, eg. h.element('mi', 'x')
+export const SVG_NAMESPACE = html.SVG_NAMESPACE;
+export const MATHML_NAMESPACE = html.MATHML_NAMESPACE;
+
+export const svg = html.elementFactory('svg', html.SVG_NAMESPACE);
+for (const type of [
+	'g', 'defs', 'use', 'symbol', 'marker', 'clipPath', 'mask', 'pattern',
+	'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+	'text', 'tspan', 'textPath', 'image', 'title', 'desc', 'foreignObject',
+	'linearGradient', 'radialGradient', 'stop',
+]) {
+	svg[type] = html.elementFactory(type, html.SVG_NAMESPACE);
+}
+
+export const math = html.elementFactory('math', html.MATHML_NAMESPACE);
+
 // -- tween functions ------------------------------------
 
 export const tween = tween_lib.tween;
@@ -229,6 +229,7 @@ assets.setFontStyle('default', { align: 'center', fill: 0xffffff, fontFamily: 's
 const PHASE_CONFIG = -10;
 const PHASE_PREPARE_FRAME = -9;
 const PHASE_LATE_PREPARE = -8;
+// core fixed updates run at -5, between preparing and rendering the frame, and scheduled work at 5
 const PHASE_RENDER_FRAME = 10;
 
 const touchEvents = ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'contextmenu'];
@@ -404,13 +405,14 @@ export class PixiCanvas {
 	phaseRenderFrame () {
 		this.pixiApp.render();
 
-		// update animations and dispatch callbacks
+		// update animations and dispatch callbacks, clips advance with the clock of their view
 		let callbacks = [];
 		this.walkViews(this.screen, (view) => {
 			if (view.children) {
+				const deltaSeconds = core.getClock(view).frameDeltaSeconds;
 				for (const child of view.children) {
 					if (child instanceof PixiClip) {
-						child.updateAnimation(core.frameDeltaSeconds, (callback) => {
+						child.updateAnimation(deltaSeconds, (callback) => {
 							callbacks.push(callback);
 						});
 					}
@@ -566,6 +568,12 @@ export class PixiView extends PIXI.Container {
 	attach (pixi_canvas, context) {
 		this.pixi_canvas = pixi_canvas;
 		this.context = context;
+
+		// delays, tweens, fibers and clips of this view follow any clock set in the context tree
+		const clock = context?.get('clock');
+		if (clock) {
+			core.setClock(this, clock);
+		}
 	}
 	
 	begin () {
@@ -580,6 +588,12 @@ export class PixiView extends PIXI.Container {
 		return core.delay(seconds, action, this);
 	}
 
+	// fixed rate steps run after touch and prepare, and before the canvas renders
+	// use the alpha of the returned object to interpolate display between steps
+	onFixedUpdate (hz, action) {
+		return core.onFixedUpdate(hz, action, this);
+	}
+
 	tween(target, properties, timing) {
 		return tween.tween(target, properties, timing, this);
 	}
@@ -5,6 +5,8 @@
 //   await asyncTween (object, targetProperties, timing);
 //   cancelTweensOf (object);
 //
+// The optional owner of a tween can be any object, or an AbortSignal to cancel the tween when aborted
+//
 // Timing is defined by easing functions that include duration, and optionally a delay
 // before beginning, and a callback on complete
 //   linear(5)									// 5 second transition
@@ -39,13 +41,26 @@ export function tween(target, properties, timing, owner = null) {
 }
 
 export function asyncTween(target, properties, timing, owner = null) {
-	return new Promise((resume) => {
+	return new Promise((resume, reject) => {
 		const t = tween(target, properties, timing, owner);
+		const onAbort = () => { reject(owner.reason); };
 		const originalOnComplete = t.timing.onComplete;
 		t.timing.onComplete = () => {
+			if (owner instanceof AbortSignal) {
+				owner.removeEventListener('abort', onAbort);
+			}
 			originalOnComplete?.();
 			resume();
 		};
+
+		// an aborted signal will not complete the tween, so reject with its reason
+		if (owner instanceof AbortSignal) {
+			if (owner.aborted) {
+				reject(owner.reason);
+			} else {
+				owner.addEventListener('abort', onAbort, { once: true });
+			}
+		}
 	});
 }
 
@@ -95,6 +110,11 @@ class Tween {
 		this.timing = timing;
 		this.owner = owner ?? target;
 		this.propertiesRequested = properties;
+
+		// disposing an explicit owner cancels the tween
+		if (owner) {
+			core.adopt(owner, this);
+		}
 		if (timing.delay == 0) {
 			this.#begin();
 		} else {
@@ -103,13 +123,15 @@ class Tween {
 	}
 
 	#begin () {
-		this.startTime = core.getFrameStartTime();
+		// tweens follow the clock of their owner, so pausing or scaling that clock pauses or scales the tween
+		this.clock = core.getClock(this.owner);
+		this.startTime = this.clock.now();
 		this.properties = {}
 		for (const k in this.propertiesRequested) {
 			this.properties[k] = captureTweenProperty(this.target, k, this.propertiesRequested[k]);
 		}
 		this.timer = core.onEveryFrame(() => {
-			this.#update(Math.max(0, Math.min(1, (core.getFrameStartTime() - this.startTime) / (this.timing.duration * 1000))));
+			this.#update(Math.max(0, Math.min(1, (this.clock.now() - this.startTime) / (this.timing.duration * 1000))));
 		}, this.owner);
 	}
 
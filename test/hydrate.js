@@ -0,0 +1,45 @@
+// hair.js tests - MIT license, copyright 2024 Samuel Baird
+// ====================================================================================
+// Hydrating server rendered markup and updating it afterwards
+//
+// Requires a DOM, run in a browser via test/index.html
+// ====================================================================================
+
+import * as h from '../hair.js';
+
+function check (condition, message) {
+	if (!condition) {
+		throw new Error(message);
+	}
+}
+
+function hydrateFrom (state, component) {
+	const parent = document.createElement('div');
+	parent.innerHTML = h.renderToString(state, component);
+	return [parent, h.hydrate(parent, state, component)];
+}
+
+export function run (log = console.log) {
+	// properties no longer given after hydration are reset to their defaults, not the server rendered values
+	const model = { busy: true };
+	const [parent, context] = hydrateFrom(model, (m) => h.button(m.busy ? { disabled: true, title: 'T' } : {}, 'save'));
+	const button = parent.querySelector('button');
+	check(button.disabled && button.title == 'T', 'hydrated button is not disabled');
+	model.busy = false;
+	context.update(model);
+	check(parent.querySelector('button') == button, 'hydrated button was not reused');
+	check(!button.disabled, 'hydrated button is still disabled');
+	check(button.title == '', 'hydrated button still has a title');
+	context.dispose();
+
+	// server nodes left over at the root after a mismatch are removed
+	const root = document.createElement('div');
+	root.innerHTML = '<p>old</p><span>x</span>';
+	h.setHydrationWarnings(false);
+	const mismatched = h.hydrate(root, {}, () => h.div('new'));
+	h.setHydrationWarnings(true);
+	check(root.innerHTML == '<div>new</div>', 'left over nodes were not removed ' + root.innerHTML);
+	mismatched.dispose();
+
+	log('hydrate ok');
+}
@@ -0,0 +1,57 @@
+// hair.js tests - MIT license, copyright 2024 Samuel Baird
+// ====================================================================================
+// Timers on the manual time source, run directly with node
+//   node test/timers.js
+// ====================================================================================
+
+import assert from 'node:assert/strict';
+import * as core from '../hair.core.js';
+
+// delays either side of the frame request lead time fire under advanceTime, in order and on time
+for (const seconds of [0.05, 0.1, 1]) {
+	core.useManualTime();
+	const start = core.mainClock.now();
+	let firedAt = null;
+	core.delay(seconds, () => { firedAt = core.mainClock.now() - start; });
+	core.advanceTime(seconds * 2);
+	assert.notEqual(firedAt, null, 'delay of ' + seconds + ' did not fire');
+	assert.ok(firedAt >= seconds * 1000 && firedAt < (seconds * 1000) + 20, 'delay of ' + seconds + ' fired at ' + firedAt + 'ms');
+}
+
+// several delays fire in order
+core.useManualTime();
+const order = [];
+for (const seconds of [1, 0.05, 0.1]) {
+	core.delay(seconds, () => { order.push(seconds); });
+}
+core.advanceTime(2);
+assert.deepEqual(order, [0.05, 0.1, 1]);
+
+// a timeout set by a timeout waits for the next step
+const source = core.useManualTime();
+let steps = 0;
+const again = () => { steps++; source.setTimeout(again, 0); };
+source.setTimeout(again, 0);
+core.stepFrame();
+assert.equal(steps, 1);
+core.stepFrame();
+assert.equal(steps, 2);
+
+// awaited fiber waits follow each other on time under advanceTimeAsync
+core.useManualTime();
+const fiberStart = core.mainClock.now();
+const waited = [];
+core.schedule(async (fiber) => {
+	for (let i = 0; i < 3; i++) {
+		await fiber.wait(1);
+		waited.push(core.mainClock.now() - fiberStart);
+	}
+});
+await core.advanceTimeAsync(3.5);
+assert.equal(waited.length, 3, 'fiber completed ' + waited.length + ' waits');
+waited.forEach((ms, index) => {
+	assert.ok(ms >= (index + 1) * 1000 && ms < ((index + 1) * 1000) + 40, 'wait ' + (index + 1) + ' completed at ' + ms + 'ms');
+});
+
+core.useBrowserTime();
+console.log('timers ok');